@@ -1,45 +1,105 @@
 const ffmpeg = require('fluent-ffmpeg');
-const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const { EventEmitter } = require('events');
+const captureBackends = require('./src/main/captureBackends');
+const deviceRegistry = require('./src/main/deviceRegistry');
+const ffmpegLocator = require('./src/main/ffmpegLocator');
+const { buildFilterChain, buildDualSourceGraph, parseSilenceEvents } = require('./src/main/audioFilters');
+const { resolveOutputSettings, createOutputWriter } = require('./src/main/outputFormats');
+const { SegmentedWriter } = require('./src/main/segmentedWriter');
+const { SilenceMonitor } = require('./src/main/silenceMonitor');
+const { SpectrumAnalyzer } = require('./src/main/spectrum');
+
+// Audio kept while auto-paused for silence and written on resume, so speech onsets aren't clipped
+const PREROLL_SECONDS = 0.5;
+// Samples this close to full scale (|x| of 32767/32768) count as clipped
+const CLIP_LEVEL = 32767 / 32768;
 
 class AudioRecorder extends EventEmitter {
-    static cachedDevices = null;
-    static lastDeviceListUpdate = 0;
-    static CACHE_TTL = 5000; // 5 seconds TTL for cache
-
-    constructor(settings) {
+    constructor(settings = {}) {
         super();
         this.isRecording = false;
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.pauseIntervals = [];
+        this.markers = [];
+        this.recordedBytes = 0;
         this.process = null;
         this.audioBuffer = new Float32Array(1024);
         this.settings = {
-            inputDevice: settings.inputDevice || { type: 'system', index: 0 }
+            inputDevice: settings.inputDevice || { type: 'system', index: 0 },
+            processing: settings.processing || {},
+            output: settings.output || {},
+            dualSource: settings.dualSource || { enabled: false },
+            silence: settings.silence || {},
+            spectrum: settings.spectrum || { enabled: false }
         };
         this.levelDetector = new LevelDetector();
+        this.silenceMonitor = new SilenceMonitor(this.settings.silence);
+        this.silenceMonitor.on('autoPause', ({ silentFor }) => {
+            console.log(`Auto-pausing after ${silentFor.toFixed(1)}s of silence`);
+            this.pause({ reason: 'silence' });
+        });
+        this.silenceMonitor.on('sound', () => {
+            if (this.pauseReason === 'silence') this.resume();
+            this.emit('silenceEnded');
+        });
+        this.silenceMonitor.on('autoStop', ({ silentFor }) => {
+            this.emit('silenceAutoStop', { silentFor });
+        });
+        this.preroll = [];
+        this.prerollBytes = 0;
+        this.lastSoundOffset = 0;
+        this.sourceLevelDetectors = { mic: new LevelDetector(), system: new LevelDetector() };
         this.outputFilePath = null;
+        this.resolveLayout(this.settings.output);
 
-        // Check FFmpeg availability and validate device
-        this.initialize().catch(error => {
+        // Check FFmpeg availability and validate device; startRecording() waits for this
+        this.initialization = this.initialize().catch(error => {
             console.error('AudioRecorder initialization failed:', error);
             this.emit('error', error);
         });
     }
 
     async initialize() {
+        // Resolve the capture backend for the configured device type
+        this.backend = captureBackends.resolveBackend(this.settings.inputDevice);
+
         // Check FFmpeg first
         await this.checkFFmpeg();
         
-        // Use cached devices if available
-        const devices = AudioRecorder.cachedDevices || await AudioRecorder.listMicrophones();
+        const devices = await deviceRegistry.listDevices({ includeTestSources: true });
         const device = this.settings.inputDevice;
-        
+
         if (device.type === 'mic') {
-            const validDevice = devices.find(d => d.index === device.index);
-            if (!validDevice) {
+            // The legacy default only names a listing position, which shifts as devices come
+            // and go; from now on the microphone it points at is stored by uid
+            const resolved = deviceRegistry.resolveLegacyMic(device, devices);
+            if (!resolved) {
                 throw new Error(`Invalid input device index: ${device.index}`);
             }
+            const stored = deviceRegistry.toStoredDevice(resolved);
+            this.settings.inputDevice = stored;
+            this.backend = captureBackends.resolveBackend(stored);
+            this.emit('deviceResolved', stored);
+        } else if (this.backend.capabilities.deviceListing && !this.backend.capabilities.testSource
+            && device.type === this.backend.name) {
+            // Stored devices are matched by identity, not by their (volatile) index
+            const resolved = deviceRegistry.resolveDevice(device, devices);
+            if (!resolved) {
+                throw new Error(`Input device not found: ${device.name || device.id || device.type}`);
+            }
+            const stored = deviceRegistry.toStoredDevice(resolved);
+            if (stored.uid !== device.uid || stored.index !== device.index || stored.name !== device.name) {
+                this.settings.inputDevice = stored;
+                this.emit('deviceResolved', stored);
+            }
+        }
+
+        // Checked after the microphone so a missing loopback device doesn't leave it unresolved
+        if (this.isDualSource()) {
+            captureBackends.resolveBackend(this.getSystemDevice());
         }
         
         // If we get here, initialization was successful
@@ -47,43 +107,96 @@ class AudioRecorder extends EventEmitter {
     }
 
     async checkFFmpeg() {
-        return new Promise((resolve, reject) => {
-            const process = spawn('ffmpeg', ['-version']);
-            
-            let output = '';
-            process.stdout.on('data', (data) => {
-                output += data.toString();
-            });
+        const ffmpeg = await ffmpegLocator.detectCapabilities();
+        console.log(`FFmpeg version: ${ffmpeg.version} (${ffmpeg.path}, ${ffmpeg.source})`);
+        return ffmpeg;
+    }
 
-            process.stderr.on('data', (data) => {
-                console.error('FFmpeg check stderr:', data.toString());
-            });
+    /**
+     * Build the FFmpeg input arguments for the configured device via its capture backend
+     * @returns {string[]} Input format and source arguments, e.g. ['-f', 'pulse', '-i', 'default']
+     */
+    getInputArgs() {
+        const device = this.resolveListedDevice(this.settings.inputDevice);
+        return captureBackends.resolveBackend(device).getInputArgs(device);
+    }
 
-            process.on('error', (error) => {
-                if (error.code === 'ENOENT') {
-                    reject(new Error('FFmpeg is not installed. Please install FFmpeg to use audio recording.'));
-                } else {
-                    reject(error);
-                }
-            });
+    // The stored setting with the index and id its device has in the current listing
+    resolveListedDevice(device) {
+        const listed = deviceRegistry.resolveDevice(device);
+        return listed ? { ...device, index: listed.index, id: listed.id || device.id } : device;
+    }
 
-            process.on('close', (code) => {
-                if (code === 0) {
-                    console.log('FFmpeg version:', output.split('\n')[0]);
-                    resolve();
-                } else {
-                    reject(new Error(`FFmpeg check failed with code ${code}`));
-                }
-            });
+    /**
+     * Whether the mic (inputDevice) and a system/loopback source are captured together
+     * @returns {boolean}
+     */
+    isDualSource() {
+        return !!(this.settings.dualSource && this.settings.dualSource.enabled);
+    }
+
+    /**
+     * Loopback source for dual-source capture; the platform default monitor when none is chosen.
+     * Only backends with the systemAudio capability have such a default: on macOS the default
+     * avfoundation input is the microphone, so a loopback device (BlackHole) has to be chosen.
+     * @returns {Object} A stored device setting
+     * @throws {Error} When no loopback device is chosen and the platform has no default one
+     */
+    getSystemDevice() {
+        const device = this.settings.dualSource.systemDevice || { type: 'system', index: 0 };
+        if (device.type === 'system' && !captureBackends.resolveBackend(device).capabilities.systemAudio) {
+            throw new Error('Recording system audio needs a loopback device such as BlackHole. '
+                + 'Choose it as the System Source in Settings, or turn off Record System Audio Too.');
+        }
+        return device;
+    }
+
+    getSystemInputArgs() {
+        const device = this.resolveListedDevice(this.getSystemDevice());
+        return captureBackends.resolveBackend(device).getInputArgs(device);
+    }
+
+    /**
+     * Work out channel handling for the next recording:
+     *   'mono'  - single source
+     *   'mix'   - dual source, both sides summed into a mono file
+     *   'split' - dual source, two-channel file with mic left and system right
+     * @param {Object} output - Output settings to resolve
+     */
+    resolveLayout(output) {
+        const dual = this.isDualSource();
+        this.channelMode = dual ? (this.settings.dualSource.mode === 'mix' ? 'mix' : 'split') : 'mono';
+        this.outputSettings = resolveOutputSettings({
+            ...output,
+            channels: this.channelMode === 'split' ? 2 : 1
         });
+        // Dual-source capture always arrives as stereo; 'mix' is folded down in Node
+        // so each side can still be metered on its own
+        this.captureChannels = dual ? 2 : this.outputSettings.channels;
+        // Optional band levels and speech-band energy, computed per chunk alongside the level
+        const spectrum = this.settings.spectrum;
+        this.spectrumAnalyzer = spectrum && spectrum.enabled
+            ? new SpectrumAnalyzer({ sampleRate: this.outputSettings.sampleRate, bands: spectrum.bands })
+            : null;
     }
 
     /**
-     * Start recording from the macOS microphone
-     * @param {string} outputFilePath - Full path where the audio file should be saved
+     * Start recording from the configured input device through its capture backend
+     * @param {string} outputFilePath - Full path where the audio file should be saved, or the
+     *   recording directory when options.segmentDuration is set
+     * @param {Object} [options]
+     * @param {Object} [options.filters] - Processing settings overriding settings.processing
+     *   ({ noiseReduction, loudnessNorm, vad }, see src/main/audioFilters.js)
+     * @param {Object} [options.output] - Output settings overriding settings.output
+     *   ({ format: 'wav' | 'opus' | 'flac', sampleRate, bitrate }, see src/main/outputFormats.js)
+     * @param {number} [options.segmentDuration] - Write rolling segments of this many seconds plus a
+     *   manifest.json into outputFilePath instead of a single file (see src/main/segmentedWriter.js)
+     * @param {Object} [options.metadata] - Extra manifest fields for segmented recordings, e.g. { meetingId }
+     * With settings.dualSource enabled, the system/loopback source is captured alongside the
+     * mic and recorded mixed or split per settings.dualSource.mode (see resolveLayout()).
      * @returns {Promise<void>} Resolves when recording starts, rejects on error
      */
-    async startRecording(outputFilePath) {
+    async startRecording(outputFilePath, options = {}) {
         if (this.isRecording) {
             return Promise.reject(new Error('Recording already in progress'));
         }
@@ -92,319 +205,487 @@ class AudioRecorder extends EventEmitter {
             return Promise.reject(new Error('Output file path is required'));
         }
 
+        await this.initialization;
         this.outputFilePath = outputFilePath;
+        this.resolveLayout({ ...this.settings.output, ...options.output });
+        this.captureFilters = options.filters || this.settings.processing;
 
-        if (process.platform !== 'darwin') {
-            return Promise.reject(new Error('This recorder currently only supports macOS'));
+        let args;
+        try {
+            args = this.buildCaptureArgs();
+        } catch (error) {
+            return Promise.reject(error);
         }
 
-        const inputDevice = this.settings.inputDevice;
+        this.writer = options.segmentDuration
+            ? new SegmentedWriter(outputFilePath, this.outputSettings, {
+                segmentDuration: options.segmentDuration,
+                metadata: { ...options.metadata, channelMode: this.channelMode }
+            })
+            : createOutputWriter(outputFilePath, this.outputSettings);
+        this.writer.on('error', (error) => {
+            console.error('Recording file write error:', error);
+            this.emit('error', error);
+        });
+        this.recordedBytes = 0;
+        this.isPaused = false;
+        this.pauseReason = null;
+        this.pauseIntervals = [];
+        this.markers = [];
+        this.silenceMonitor.reset();
+        this.preroll = [];
+        this.prerollBytes = 0;
+        this.lastSoundOffset = 0;
+
+        this.isRecording = true;
+        try {
+            await this.spawnCapture(args);
+        } catch (error) {
+            // Nothing was recorded: leave no writer or empty file behind for the next start
+            this.isRecording = false;
+            const writer = this.writer;
+            this.writer = null;
+            await writer.close().catch(() => {});
+            await fs.promises.rm(outputFilePath, { recursive: true, force: true }).catch(() => {});
+            throw error;
+        }
+    }
 
-        // Build FFmpeg command for visualization
-                const args = [
-            '-f', 'avfoundation',
-            '-i', inputDevice.type === 'system' ? ':0' : `:${inputDevice.index}`,
+    /**
+     * FFmpeg arguments for the capture process of the current device(s), filters and layout
+     * @returns {string[]}
+     */
+    buildCaptureArgs() {
+        const dual = this.isDualSource();
+        const inputArgs = dual
+            ? [...this.getInputArgs(), ...this.getSystemInputArgs()]
+            : this.getInputArgs();
+
+        // A single FFmpeg process captures PCM; Node fans it out to the file
+        // writer and the level/waveform path so both see exactly the same audio.
+        const filterChain = buildFilterChain(this.captureFilters);
+        const filterArgs = dual
+            ? ['-filter_complex', buildDualSourceGraph(filterChain), '-map', '[out]']
+            : (filterChain ? ['-af', filterChain] : []);
+        const args = [
+            ...inputArgs,
+            ...filterArgs,
             '-acodec', 'pcm_s16le',
-            '-ar', '16000',
-            '-ac', '1',
+            '-ar', String(this.outputSettings.sampleRate),
+            '-ac', String(this.captureChannels),
             '-f', 's16le',
             'pipe:1'
         ];
+        // Fail with a readable message if this FFmpeg build lacks the device, filters or the file's encoder
+        ffmpegLocator.assertCapabilities([...args, '-c:a', this.outputSettings.codec]);
+        return args;
+    }
 
-        console.log('Starting FFmpeg visualization process with args:', args.join(' '));
+    /**
+     * Spawn the capture process feeding the current writer
+     * @param {string[]} args - From buildCaptureArgs()
+     * @returns {Promise<void>} Resolves on the first audio data
+     */
+    spawnCapture(args) {
+        console.log('Starting FFmpeg capture process with args:', args.join(' '));
 
-        // Start FFmpeg process for visualization
-        this.process = spawn('ffmpeg', args);
+        const capture = ffmpegLocator.spawnFFmpeg(args);
+        this.process = capture;
+        this.pendingBytes = null;
+        let started = false;
 
         // Handle process errors
-        this.process.on('error', (error) => {
-            console.error('FFmpeg visualization process error:', error);
+        capture.on('error', (error) => {
+            console.error('FFmpeg capture process error:', error);
             this.emit('error', error);
         });
 
-        // Log stderr for debugging
-        this.process.stderr.on('data', (data) => {
-            console.log('FFmpeg visualization stderr:', data.toString());
-        });
+        // silencedetect times count from this process's start; its PCM is what places them
+        let captureBytes = 0;
+        const captureSeconds = () => captureBytes / (this.outputSettings.sampleRate * this.captureChannels * 2);
 
-        // Handle audio data for visualization
-        this.process.stdout.on('data', (data) => {
-            // Convert buffer to Float32Array for visualization
-            const samples = new Float32Array(data.length / 2);
-            for (let i = 0; i < samples.length; i++) {
-                samples[i] = data.readInt16LE(i * 2) / 32768.0;
-            }
-            
-            // Calculate audio level
-            const level = this.levelDetector.processChunk(samples);
-            
-            // Update audio buffer for waveform
-            this.updateAudioBuffer(samples);
-            
-            // Emit audio visualization data
-            this.emit('audioData', {
-                level,
-                waveform: Array.from(this.audioBuffer)
-            });
-        });
-
-        // Start recording to file with same settings
-        const outputArgs = [
-            '-y',  // Force overwrite
-            '-f', 'avfoundation',
-            '-i', inputDevice.type === 'system' ? ':0' : `:${inputDevice.index}`,
-            '-acodec', 'pcm_s16le',
-            '-ar', '16000',
-            '-ac', '1',
-            '-f', 'wav',
-                    outputFilePath
-        ];
-
-        console.log('Starting FFmpeg recording process with args:', outputArgs.join(' '));
-
-        // Start recording process
-        this.outputProcess = spawn('ffmpeg', outputArgs);
+        // Log stderr for debugging
+        capture.stderr.on('data', (data) => {
+            const text = data.toString();
+            console.log('FFmpeg capture stderr:', text);
 
-        // Handle recording process errors
-        this.outputProcess.on('error', (error) => {
-            console.error('FFmpeg recording process error:', error);
-            this.emit('error', error);
+            // silencedetect (VAD) reports speech boundaries on stderr
+            parseSilenceEvents(text).forEach(event => this.handleVoiceActivity(event, captureSeconds()));
         });
 
-        // Log stderr for debugging
-        this.outputProcess.stderr.on('data', (data) => {
-            console.log('FFmpeg recording stderr:', data.toString());
+        const onPcm = (data) => {
+            captureBytes += data.length;
+            this.handlePcmChunk(data);
+        };
+        capture.stdout.on('data', onPcm);
+
+        // Capture ending on its own (e.g. the device was unplugged) rather than via
+        // stopRecording()/switchInputDevice(), which detach this.process first
+        capture.on('close', (code) => {
+            if (started && this.process === capture && this.isRecording) {
+                console.warn(`FFmpeg capture process exited unexpectedly with code ${code}`);
+                this.process = null;
+                this.emit('captureLost', { code, device: this.settings.inputDevice });
+            }
         });
 
-        this.isRecording = true;
         return new Promise((resolve, reject) => {
+            let settled = false;
             // Wait for first data or error
             const timeout = setTimeout(() => {
-                reject(new Error('FFmpeg process failed to start recording within 5 seconds'));
+                onError(new Error('FFmpeg process failed to start recording within 5 seconds'));
             }, 5000);
 
             const onData = () => {
+                settled = true;
                 clearTimeout(timeout);
-                this.process.stdout.removeListener('data', onData);
+                started = true;
                 resolve();
             };
 
+            // A capture that never produced audio is stopped here; the caller decides what records next
             const onError = (error) => {
+                if (settled) return;
+                settled = true;
                 clearTimeout(timeout);
-                this.process.removeListener('error', onError);
+                capture.stdout.removeListener('data', onData);
+                capture.stdout.removeListener('data', onPcm);
+                if (this.process === capture) this.process = null;
+                ffmpegLocator.stopFFmpeg(capture);
                 reject(error);
             };
 
-            this.process.stdout.once('data', onData);
-            this.process.once('error', onError);
+            capture.stdout.once('data', onData);
+            capture.once('error', onError);
+            capture.once('close', (code) => onError(new Error(`FFmpeg capture process exited with code ${code} before recording started`)));
         });
     }
 
     /**
-     * Stop the current recording
-     * @returns {Promise<string>} Resolves with the output file path before clearing it
+     * Move the running recording to another input device. The old capture process
+     * is stopped and a new one continues into the same file, with a 'device-switch'
+     * marker at the switch point. When not recording, only the setting changes.
+     * @param {Object} device - inputDevice-shaped setting
+     * @param {{reason?: string}} [options]
+     * @returns {Promise<void>}
      */
-    async stopRecording() {
-        if (!this.isRecording) {
-            return Promise.reject(new Error('No active recording to stop'));
+    async switchInputDevice(device, { reason } = {}) {
+        const previous = this.settings.inputDevice;
+        this.settings.inputDevice = device;
+        if (!this.isRecording) return;
+
+        let args;
+        try {
+            args = this.buildCaptureArgs();
+        } catch (error) {
+            this.settings.inputDevice = previous;
+            throw error;
         }
 
-        if (!this.outputFilePath) {
-            return Promise.reject(new Error('No output file path set'));
+        const old = this.process;
+        this.process = null;
+        await ffmpegLocator.stopFFmpeg(old);
+
+        const marker = this.addMarker({
+            type: 'device-switch',
+            label: `Switched to ${device.name || device.type}`,
+            from: describeDevice(previous),
+            to: describeDevice(device),
+            reason: reason || null
+        });
+        try {
+            await this.spawnCapture(args);
+        } catch (error) {
+            // Go back to the device that was recording; if that fails too, the capture is lost
+            console.error('Capture on the new device failed, returning to the previous one:', error);
+            this.settings.inputDevice = previous;
+            this.markers = this.markers.filter(entry => entry !== marker);
+            this.saveRecordingDetails();
+            try {
+                await this.spawnCapture(this.buildCaptureArgs());
+            } catch (restoreError) {
+                console.error('Capture on the previous device failed:', restoreError);
+                this.emit('captureLost', { code: null, device: previous });
+            }
+            throw error;
         }
+        this.emit('deviceSwitched', { from: previous, to: device, reason });
+    }
 
-        const outputPath = this.outputFilePath;
-        console.log('Stopping recording, output path:', outputPath);
+    /**
+     * Mark a point in the current recording
+     * @param {{type: string, label?: string}} marker - Extra fields are kept as-is
+     * @returns {Object|null} The stored marker with its wall-clock time and file offset (seconds)
+     */
+    addMarker(marker) {
+        if (!this.isRecording) return null;
+
+        const entry = { at: new Date().toISOString(), offset: this.getRecordedDuration(), ...marker };
+        this.markers.push(entry);
+        this.saveRecordingDetails();
+        this.emit('marker', entry);
+        return entry;
+    }
 
-        // Stop both processes and wait for them to exit
-        await Promise.all([
-            new Promise((resolve, reject) => {
-                if (this.process) {
-                    console.log('Stopping visualization process...');
-                    this.process.on('exit', () => {
-                        console.log('Visualization process exited');
-                        resolve();
-                    });
-                    this.process.kill('SIGTERM');
-                } else {
-                    resolve();
-                }
-            }),
-            new Promise((resolve, reject) => {
-                if (this.outputProcess) {
-                    console.log('Stopping recording process...');
-                    this.outputProcess.on('exit', () => {
-                        console.log('Recording process exited');
-                        resolve();
-                    });
-                    this.outputProcess.kill('SIGTERM');
-                } else {
-                    resolve();
-                }
-            })
-        ]);
+    /**
+     * Turn a speech boundary from silencedetect (processing.vad) into a `speech-start` or
+     * `speech-end` marker. A silence is only reported once it has lasted the VAD duration,
+     * so the offset is moved back by how far the capture has got past the reported time.
+     * @param {{speaking: boolean, time: number}} event - From parseSilenceEvents()
+     * @param {number} captureSeconds - Audio delivered so far by the process that reported it
+     */
+    handleVoiceActivity(event, captureSeconds) {
+        this.emit('voiceActivity', event);
+        const lag = Math.max(0, captureSeconds - event.time);
+        this.addMarker({
+            type: event.speaking ? 'speech-start' : 'speech-end',
+            offset: Math.max(0, this.getRecordedDuration() - lag)
+        });
+    }
 
-        // Clear the processes
-        this.process = null;
-        this.outputProcess = null;
-                    this.isRecording = false;
+    /**
+     * Markers of the current (or last) recording
+     * @returns {Array<{type: string, at: string, offset: number, label?: string}>}
+     */
+    getMarkers() {
+        return this.markers.map(marker => ({ ...marker }));
+    }
 
-        // Wait for the file to be fully written
-        await new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                reject(new Error('Timeout waiting for file to be written'));
-            }, 5000);
+    /**
+     * Tee one chunk of captured s16le PCM to the file writer and the visualization path
+     * @param {Buffer} data - Raw chunk from FFmpeg stdout (may split a sample frame)
+     */
+    handlePcmChunk(data) {
+        // Re-align to whole sample frames when a chunk boundary splits one, so a
+        // pause never cuts the file mid-frame
+        const frameSize = this.captureChannels * 2;
+        let pcm = data;
+        if (this.pendingBytes) {
+            pcm = Buffer.concat([this.pendingBytes, data]);
+            this.pendingBytes = null;
+        }
+        const remainder = pcm.length % frameSize;
+        if (remainder !== 0) {
+            this.pendingBytes = Buffer.from(pcm.subarray(pcm.length - remainder));
+            pcm = pcm.subarray(0, pcm.length - remainder);
+        }
+        if (pcm.length === 0) return;
 
-            const checkFile = async () => {
-                try {
-                    const stats = await fs.promises.stat(outputPath);
-                    if (stats.size > 0) {
-                        clearTimeout(timeout);
-                        resolve();
-                    } else {
-                        setTimeout(checkFile, 100);
-                    }
-            } catch (error) {
-                    if (error.code === 'ENOENT') {
-                        setTimeout(checkFile, 100);
-                    } else {
-                        clearTimeout(timeout);
-                reject(error);
-            }
-                }
+        // Convert buffer to Float32Array for visualization
+        let samples = new Float32Array(pcm.length / 2);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = pcm.readInt16LE(i * 2) / 32768.0;
+        }
+
+        // Dual source: meter each side, visualize (and for 'mix', record) their sum
+        let filePcm = pcm;
+        let levels = null;
+        if (this.channelMode !== 'mono') {
+            const { left, right, mixed } = splitStereo(samples);
+            levels = {
+                mic: this.sourceLevelDetectors.mic.processChunk(left),
+                system: this.sourceLevelDetectors.system.processChunk(right)
             };
+            samples = mixed;
+            if (this.channelMode === 'mix') {
+                filePcm = toPcm16(mixed);
+            }
+        }
+
+        // Calculate audio level
+        const level = this.levelDetector.processChunk(samples);
+
+        // Silence rules may pause or resume right here; a user's pause is left alone
+        const seconds = pcm.length / (this.outputSettings.sampleRate * frameSize);
+        let silent = false;
+        if (this.isRecording && this.pauseReason !== 'user') {
+            silent = this.silenceMonitor.update(this.levelDetector.instantLevel, seconds);
+        }
+
+        // While paused capture keeps running (so levels stay live) but nothing reaches the file
+        if (this.writer && !this.isPaused) {
+            for (const chunk of this.preroll) {
+                this.writer.write(chunk);
+                this.recordedBytes += chunk.length;
+            }
+            this.preroll = [];
+            this.prerollBytes = 0;
+            this.writer.write(filePcm);
+            this.recordedBytes += filePcm.length;
+            if (!silent) this.lastSoundOffset = this.getRecordedDuration();
+        } else if (this.pauseReason === 'silence') {
+            this.keepPreroll(filePcm);
+        }
 
-            checkFile();
+        // Update audio buffer for waveform
+        this.updateAudioBuffer(samples);
+        const spectrum = this.spectrumAnalyzer ? this.spectrumAnalyzer.analyze(this.audioBuffer) : null;
+
+        // Emit audio visualization data; the waveform is read with getVisualizationData() only
+        // when a frame is actually drawn. `input` describes the input device alone (the
+        // microphone side of a dual-source capture) for the recording health checks.
+        const inputDetector = levels ? this.sourceLevelDetectors.mic : this.levelDetector;
+        this.emit('audioData', {
+            level,
+            paused: this.isPaused,
+            input: {
+                level: inputDetector.instantLevel,
+                peak: inputDetector.peakLevel,
+                clipped: inputDetector.clippedSamples,
+                duration: seconds
+            },
+            ...(levels ? { levels } : {}),
+            ...(spectrum ? { spectrum } : {})
         });
     }
 
+    keepPreroll(chunk) {
+        const maxBytes = Math.round(PREROLL_SECONDS * this.outputSettings.sampleRate) * this.outputSettings.channels * 2;
+        this.preroll.push(Buffer.from(chunk));
+        this.prerollBytes += chunk.length;
+        while (this.preroll.length > 1 && this.prerollBytes - this.preroll[0].length >= maxBytes) {
+            this.prerollBytes -= this.preroll.shift().length;
+        }
+    }
+
     /**
-     * List available audio input devices on macOS
-     * @returns {Promise<Array<{index: number, name: string}>>} Resolves with array of available microphones
+     * Stop writing captured audio to the file without ending the recording.
+     * The paused span is left out of the output entirely.
+     * @param {{reason?: 'user'|'silence'}} [options] - A silence pause resumes by itself when sound returns
+     * @returns {boolean} False if not recording or already paused
      */
-    static async listMicrophones() {
-        if (process.platform !== 'darwin') {
-            return Promise.reject(new Error('Device listing is currently only supported on macOS'));
+    pause({ reason = 'user' } = {}) {
+        if (!this.isRecording) return false;
+        // A user pausing during a silence pause takes it over, so it no longer auto-resumes
+        if (this.isPaused) {
+            if (reason !== 'user' || this.pauseReason === 'user') return false;
+            this.pauseReason = 'user';
+            this.pauseIntervals[this.pauseIntervals.length - 1].reason = 'user';
+            this.preroll = [];
+            this.prerollBytes = 0;
+            this.saveRecordingDetails();
+            return true;
         }
 
-        // Return cached devices if within TTL
-        const now = Date.now();
-        if (AudioRecorder.cachedDevices && (now - AudioRecorder.lastDeviceListUpdate) < AudioRecorder.CACHE_TTL) {
-            console.log('Using cached device list');
-            return AudioRecorder.cachedDevices;
-        }
+        this.isPaused = true;
+        this.pauseReason = reason;
+        this.pauseIntervals.push({
+            pausedAt: new Date().toISOString(),
+            resumedAt: null,
+            offset: this.getRecordedDuration(),
+            reason
+        });
+        this.saveRecordingDetails();
+        this.emit('paused', { offset: this.getRecordedDuration(), reason });
+        return true;
+    }
 
-        console.log('Fetching fresh device list...');
-        return new Promise((resolve, reject) => {
-            const process = spawn('ffmpeg', ['-f', 'avfoundation', '-list_devices', 'true', '-i', '']);
-            
-            let output = '';
-            let errorOutput = '';
+    /**
+     * Resume writing captured audio after pause()
+     * @returns {boolean} False if not recording or not paused
+     */
+    resume() {
+        if (!this.isRecording || !this.isPaused) return false;
+
+        const reason = this.pauseReason;
+        this.isPaused = false;
+        this.pauseReason = null;
+        // Silence is counted afresh from here; the user's pause may have hidden a long one
+        this.silenceMonitor.reset();
+        this.pauseIntervals[this.pauseIntervals.length - 1].resumedAt = new Date().toISOString();
+        this.saveRecordingDetails();
+        this.emit('resumed', { offset: this.getRecordedDuration(), reason });
+        return true;
+    }
 
-            process.stdout.on('data', (data) => {
-                output += data.toString();
-            });
+    /**
+     * Seconds of silence at the end of what has been written, for trimming on stop
+     * @returns {number}
+     */
+    getTrailingSilence() {
+        return Math.max(0, this.getRecordedDuration() - this.lastSoundOffset);
+    }
 
-            process.stderr.on('data', (data) => {
-                errorOutput += data.toString();
-            });
+    // Keep pauses and markers in the segment manifest so they survive a crash
+    saveRecordingDetails() {
+        if (this.writer && typeof this.writer.updateManifest === 'function') {
+            this.writer.updateManifest({ pauses: this.getPauseIntervals(), markers: this.getMarkers() });
+        }
+    }
 
-            process.on('error', (error) => {
-                reject(new Error(`Failed to list audio devices: ${error.message}`));
-            });
+    /**
+     * Pause intervals of the current (or last) recording
+     * @returns {Array<{pausedAt: string, resumedAt: string|null, offset: number, reason: string}>} offset is the
+     *   position in the recorded file, in seconds, where the pause was cut out; reason is 'user' or 'silence'
+     */
+    getPauseIntervals() {
+        return this.pauseIntervals.map(interval => ({ ...interval }));
+    }
 
-            process.on('close', (code) => {
-                try {
-                    const fullOutput = output + errorOutput;
-                    const devices = [];
-                    const lines = fullOutput.split('\n');
-                    let isAudioSection = false;
-
-                    for (const line of lines) {
-                        if (line.includes('AVFoundation audio devices')) {
-                            isAudioSection = true;
-                            continue;
-                        }
-
-                        if (isAudioSection && line.includes('AVFoundation video devices')) {
-                            break;
-                        }
-
-                        if (isAudioSection && line.includes(']')) {
-                            const match = line.match(/\[(\d+)\]\s+([^\[]+?)(?:\s*\[.*\])?$/);
-                            if (match) {
-                                const index = parseInt(match[1], 10);
-                                const name = match[2].trim();
-                                
-                                if (name && 
-                                    !name.toLowerCase().includes('display') && 
-                                    !name.toLowerCase().includes('screen')) {
-                                    devices.push({ index, name });
-                                }
-                            }
-                        }
-                    }
-
-                    // Update cache
-                    AudioRecorder.cachedDevices = devices;
-                    AudioRecorder.lastDeviceListUpdate = now;
-                    
-                    resolve(devices);
-                } catch (error) {
-                    console.error('Error parsing FFmpeg output:', error);
-                    reject(error);
-                }
-            });
-        });
+    /**
+     * Seconds of audio written to the file so far (excludes paused spans)
+     * @returns {number}
+     */
+    getRecordedDuration() {
+        const bytesPerSecond = this.outputSettings.sampleRate * this.outputSettings.channels * 2;
+        return this.recordedBytes / bytesPerSecond;
     }
 
-    static listMicrophonesSync() {
-        try {
-            // Return cached devices if within TTL
-            const now = Date.now();
-            if (AudioRecorder.cachedDevices && (now - AudioRecorder.lastDeviceListUpdate) < AudioRecorder.CACHE_TTL) {
-                console.log('Using cached device list for sync call');
-                return AudioRecorder.cachedDevices;
-            }
+    /**
+     * Stop the current recording
+     * @returns {Promise<string>} Resolves with the output file path once the file is finalized
+     */
+    async stopRecording() {
+        if (!this.isRecording) {
+            return Promise.reject(new Error('No active recording to stop'));
+        }
 
-            console.log('Fetching fresh device list synchronously...');
-            const { spawnSync } = require('child_process');
-            const result = spawnSync('ffmpeg', ['-f', 'avfoundation', '-list_devices', 'true', '-i', '']);
-            
-            const output = result.stderr.toString();
-            const devices = [];
-            let isAudioSection = false;
-            
-            output.split('\n').forEach(line => {
-                if (line.includes('AVFoundation audio devices:')) {
-                    isAudioSection = true;
-                    return;
-                }
-                
-                if (isAudioSection) {
-                    const match = line.match(/\[(\d+)\]\s+(.+)/);
-                    if (match) {
-                        const index = parseInt(match[1]);
-                        const name = match[2].trim();
-                        if (name && 
-                            !name.toLowerCase().includes('display') && 
-                            !name.toLowerCase().includes('screen')) {
-                            devices.push({ index, name });
-                        }
-                    }
-                }
-            });
+        if (!this.outputFilePath) {
+            return Promise.reject(new Error('No output file path set'));
+        }
 
-            // Update cache
-            AudioRecorder.cachedDevices = devices;
-            AudioRecorder.lastDeviceListUpdate = now;
-            
-            return devices;
-        } catch (error) {
-            console.error('Error listing microphones:', error);
-            // Return cached devices if available, empty array otherwise
-            return AudioRecorder.cachedDevices || [];
+        const outputPath = this.outputFilePath;
+        console.log('Stopping recording, output path:', outputPath);
+
+        // Detach first so the exit isn't mistaken for a lost device
+        const capture = this.process;
+        this.process = null;
+
+        // 'q' lets FFmpeg flush its last samples; stopFFmpeg() waits for 'close' rather
+        // than 'exit', so stdout is fully drained into the writer
+        if (capture) {
+            console.log('Stopping capture process...');
+            const { step } = await ffmpegLocator.stopFFmpeg(capture);
+            console.log(`Capture process exited (${step})`);
+        }
+
+        // A stop while paused closes the open pause interval
+        if (this.isPaused) {
+            this.resume();
+        }
+        this.isRecording = false;
+
+        // Flush the file (patching WAV sizes or letting the encoder write its trailer)
+        const writer = this.writer;
+        this.writer = null;
+        if (writer) {
+            await writer.close();
         }
+
+        return outputPath;
+    }
+
+    /**
+     * List available audio input devices from the capture backends available on this platform
+     * @param {{includeTestSources?: boolean}} [options] - Include the file/synthetic test source
+     * @returns {Promise<Array<{uid: string, index: number, name: string, type: string, id?: string, isMonitor?: boolean}>>} Resolves with array of available microphones
+     */
+    static listMicrophones(options) {
+        return deviceRegistry.listDevices(options);
+    }
+
+    static listMicrophonesSync(options) {
+        return deviceRegistry.listDevicesSync(options);
     }
 
     /**
@@ -423,11 +704,33 @@ class AudioRecorder extends EventEmitter {
         return this.settings.outputFilePath;
     }
 
+    /**
+     * Describe what the recorder encodes, for labeling uploads
+     * @returns {{format: string, mimeType: string, extension: string, codec: string, container: string,
+     *   sampleRate: number, channels: number, bitrate: string|null, channelMode: string}}
+     */
+    getOutputFormat() {
+        return { ...this.outputSettings, channelMode: this.channelMode };
+    }
+
     // Get current audio data for visualization
     getAudioData() {
         return Array.from(this.audioBuffer);
     }
 
+    /**
+     * The most recent samples reduced to `points` values for drawing
+     * @param {number} points
+     * @returns {{waveform: Float32Array, peaks: Float32Array}} Sampled values (-1..1) and the
+     *   largest magnitude in each point's span
+     */
+    getVisualizationData(points) {
+        return {
+            waveform: this.downsample(this.audioBuffer, points),
+            peaks: this.peaks(this.audioBuffer, points)
+        };
+    }
+
     // Utility function to downsample audio data
     downsample(data, targetLength) {
         const step = data.length / targetLength;
@@ -441,15 +744,31 @@ class AudioRecorder extends EventEmitter {
         return result;
     }
 
+    // Largest magnitude in each of targetLength equal spans of data
+    peaks(data, targetLength) {
+        const step = data.length / targetLength;
+        const result = new Float32Array(targetLength);
+
+        for (let i = 0; i < targetLength; i++) {
+            const end = Math.max(Math.floor((i + 1) * step), Math.floor(i * step) + 1);
+            let peak = 0;
+            for (let pos = Math.floor(i * step); pos < end; pos++) {
+                peak = Math.max(peak, Math.abs(data[pos]));
+            }
+            result[i] = peak;
+        }
+
+        return result;
+    }
+
     updateAudioBuffer(newSamples) {
+        const count = Math.min(newSamples.length, this.audioBuffer.length);
+
         // Shift existing samples left
-        this.audioBuffer.copyWithin(0, newSamples.length);
+        this.audioBuffer.copyWithin(0, count);
         
-        // Add new samples at the end
-        this.audioBuffer.set(
-            newSamples.subarray(0, Math.min(newSamples.length, this.audioBuffer.length)),
-            this.audioBuffer.length - Math.min(newSamples.length, this.audioBuffer.length)
-        );
+        // Add the newest samples at the end
+        this.audioBuffer.set(newSamples.subarray(newSamples.length - count), this.audioBuffer.length - count);
     }
 
     updateSettings(newSettings) {
@@ -467,11 +786,42 @@ class AudioRecorder extends EventEmitter {
     }
 }
 
+// Short form of a device setting for markers and logs
+function describeDevice(device) {
+    if (!device) return null;
+    return { type: device.type, name: device.name || null, id: device.id || null };
+}
+
+// Deinterleave stereo samples and sum both sides (clamped) into a mono track
+function splitStereo(samples) {
+    const frames = samples.length / 2;
+    const left = new Float32Array(frames);
+    const right = new Float32Array(frames);
+    const mixed = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+        left[i] = samples[i * 2];
+        right[i] = samples[i * 2 + 1];
+        mixed[i] = Math.max(-1, Math.min(1, left[i] + right[i]));
+    }
+    return { left, right, mixed };
+}
+
+function toPcm16(samples) {
+    const buffer = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767), i * 2);
+    }
+    return buffer;
+}
+
 // Helper class for audio level detection
 class LevelDetector {
     constructor() {
         this.smoothingFactor = 0.95;
         this.currentLevel = -Infinity;
+        this.instantLevel = -Infinity;
+        this.peakLevel = -Infinity;
+        this.clippedSamples = 0;
     }
 
     processChunk(samples) {
@@ -481,6 +831,19 @@ class LevelDetector {
         
         // Convert to dB
         const db = 20 * Math.log10(Math.max(rms, 1e-10));
+        // Unsmoothed, for silence rules that must react to the first loud chunk
+        this.instantLevel = db;
+
+        // Peak and full-scale samples, for the recording health checks
+        let peak = 0;
+        let clipped = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const magnitude = Math.abs(samples[i]);
+            if (magnitude > peak) peak = magnitude;
+            if (magnitude >= CLIP_LEVEL) clipped++;
+        }
+        this.peakLevel = 20 * Math.log10(Math.max(peak, 1e-10));
+        this.clippedSamples = clipped;
         
         // Smooth the level
         if (this.currentLevel === -Infinity) {
@@ -34,6 +34,8 @@ const trayManager = require('./src/main/tray');
 const windowManager = require('./src/main/windows');
 const authService = require('./src/main/auth');
 const recordingServiceModule = require('./src/main/recording');
+const recoveryService = require('./src/main/recovery');
+const ffmpegLocator = require('./src/main/ffmpegLocator');
 const { authEvents } = require('./src/main/auth');
 // Validate config at startup
 validateConfig();
@@ -57,15 +59,180 @@ const store = new Store({
         inputDevice: {
             type: 'object',
             properties: {
-                type: { type: 'string', enum: ['system', 'mic', 'avfoundation'], default: 'mic' },
+                // Stable identity from src/main/deviceRegistry.js; index is refreshed from the live listing
+                uid: { type: 'string' },
+                type: { type: 'string', enum: ['system', 'mic', 'avfoundation', 'pulse', 'alsa', 'file'], default: 'mic' },
                 index: { type: 'number', default: 0 },
-                name: { type: 'string', default: 'Default Microphone' }
+                name: { type: 'string', default: 'Default Microphone' },
+                id: { type: 'string' },
+                isMonitor: { type: 'boolean' }
             },
             default: { type: 'mic', index: 0, name: 'Default Microphone' }
+        },
+        // Used when inputDevice disappears mid-recording
+        fallbackInputDevice: {
+            type: 'object',
+            properties: {
+                uid: { type: 'string' },
+                type: { type: 'string', enum: ['system', 'mic', 'avfoundation', 'pulse', 'alsa', 'file'] },
+                index: { type: 'number' },
+                name: { type: 'string' },
+                id: { type: 'string' },
+                isMonitor: { type: 'boolean' }
+            },
+            default: { type: 'mic', index: 0, name: 'Default Microphone' }
+        },
+        // Capture a system/loopback source alongside inputDevice (the mic)
+        dualSource: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                mode: { type: 'string', enum: ['mix', 'split'], default: 'split' },
+                systemDevice: {
+                    type: ['object', 'null'],
+                    properties: {
+                        uid: { type: 'string' },
+                        type: { type: 'string', enum: ['system', 'avfoundation', 'pulse', 'alsa', 'file'] },
+                        index: { type: 'number' },
+                        name: { type: 'string' },
+                        id: { type: 'string' },
+                        isMonitor: { type: 'boolean' }
+                    }
+                }
+            },
+            default: { enabled: false, mode: 'split', systemDevice: null }
+        },
+        // Silence rules, see src/main/silenceMonitor.js
+        silence: {
+            type: 'object',
+            properties: {
+                threshold: { type: 'number', minimum: -90, maximum: 0, default: -50 },
+                autoPause: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean', default: false },
+                        after: { type: 'number', minimum: 1, default: 30 }
+                    }
+                },
+                autoStop: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean', default: false },
+                        after: { type: 'number', minimum: 1, default: 15 },
+                        countdown: { type: 'number', minimum: 0, default: 60 }
+                    }
+                },
+                trimTrailing: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean', default: false },
+                        keep: { type: 'number', minimum: 0, default: 2 }
+                    }
+                }
+            },
+            default: {
+                threshold: -50,
+                autoPause: { enabled: false, after: 30 },
+                autoStop: { enabled: false, after: 15, countdown: 60 },
+                trimTrailing: { enabled: false, keep: 2 }
+            }
+        },
+        // Recording health checks, see src/main/healthMonitor.js
+        health: {
+            type: 'object',
+            properties: {
+                deadInput: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean', default: true },
+                        after: { type: 'number', minimum: 1, default: 10 }
+                    }
+                },
+                clipping: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean', default: true },
+                        count: { type: 'number', minimum: 1, default: 5 },
+                        window: { type: 'number', minimum: 1, default: 10 }
+                    }
+                },
+                lowLevel: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean', default: true },
+                        threshold: { type: 'number', minimum: -90, maximum: 0, default: -30 },
+                        after: { type: 'number', minimum: 1, default: 60 }
+                    }
+                }
+            },
+            default: {
+                deadInput: { enabled: true, after: 10 },
+                clipping: { enabled: true, count: 5, window: 10 },
+                lowLevel: { enabled: true, threshold: -30, after: 60 }
+            }
+        },
+        // Global hotkeys, registered while recording (Electron accelerator syntax; empty to disable)
+        shortcuts: {
+            type: 'object',
+            properties: {
+                addMarker: { type: 'string', default: 'CommandOrControl+Shift+M' }
+            },
+            default: {
+                addMarker: 'CommandOrControl+Shift+M'
+            }
+        },
+        // Live level/waveform frames sent to the recording window, bar and meeting overlay
+        visualization: {
+            type: 'object',
+            properties: {
+                frameRate: { type: 'number', minimum: 1, maximum: 60, default: 20 },
+                // Band levels and speech-band energy, see src/main/spectrum.js
+                spectrum: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean', default: false },
+                        bands: { type: 'number', minimum: 8, maximum: 64, default: 32 }
+                    }
+                }
+            },
+            default: {
+                frameRate: 20,
+                spectrum: { enabled: false, bands: 32 }
+            }
+        },
+        // Workspace defaults for transcription, see src/main/transcriptionOptions.js; a meeting
+        // can override them from the overlay before it is recorded
+        transcription: {
+            type: 'object',
+            properties: {
+                // AssemblyAI language code, or 'auto' to detect it
+                languageCode: { type: 'string', default: 'en_us' },
+                features: {
+                    type: 'object',
+                    additionalProperties: { type: 'boolean' }
+                },
+                speakersExpected: { type: ['number', 'null'], minimum: 1, maximum: 10 },
+                // Glossary sent as word boost with every recording, with the company's names
+                vocabulary: { type: 'array', items: { type: 'string' } }
+            },
+            default: {
+                languageCode: 'en_us',
+                features: { sentiment_analysis: true, entity_detection: true },
+                speakersExpected: null,
+                vocabulary: []
+            }
+        },
+        // FFmpeg binary to use instead of the bundled/PATH lookup in src/main/ffmpegLocator.js
+        ffmpegPath: {
+            type: 'string',
+            default: ''
         }
     }
 });
 
+ffmpegLocator.setOverridePath(store.get('ffmpegPath'));
+store.onDidChange('ffmpegPath', (value) => ffmpegLocator.setOverridePath(value));
+
 // Create Supabase storage adapter using electron-store
 const electronStoreAdapter = {
     getItem: (key) => {
@@ -111,6 +278,77 @@ let hasCheckedInitialSession = false;
 let loginWindowShown = false;
 let loginWindowTimeout = null;
 
+// Recording and upload actions, shared by the tray menu and the IPC handlers
+const recordingActions = {
+    startRecording: recordingServiceModule.startRecording,
+    stopRecording: recordingServiceModule.stopRecording,
+    pauseRecording: recordingServiceModule.pauseRecording,
+    resumeRecording: recordingServiceModule.resumeRecording,
+    cancelAutoStop: recordingServiceModule.cancelAutoStop,
+    addRecordingMarker: recordingServiceModule.addRecordingMarker,
+    importRecording: recordingServiceModule.importRecording,
+    retryUpload: recordingServiceModule.retryUpload,
+    cancelUpload: recordingServiceModule.cancelUpload,
+    updateAudioDevice: recordingServiceModule.updateAudioDevice,
+};
+
+// Everything the tray menu can do; passed to every initializeTray()/updateTray() call
+const trayAccess = {
+    ...recordingActions,
+    uploadOrphanedRecording: recoveryService.uploadOrphanedRecording,
+    saveOrphanedRecording: recoveryService.saveOrphanedRecording,
+    discardOrphanedRecording: recoveryService.discardOrphanedRecording,
+    showLoginWindow: () => windowManager.showLoginWindow({
+        preloadPath: path.join(__dirname, 'preload.js'),
+        loginHtmlPath: path.join(__dirname, 'login.html')
+    }),
+    toggleSettingsPanel: () => windowManager.toggleSettingsPanel({
+        recordingWindow: null, // Should be managed by windowManager
+        preloadPath: path.join(__dirname, 'preload.js'),
+        settingsHtmlPath: path.join(__dirname, 'settingsPanel.html'),
+        screen,
+        onHide: () => {}
+    }),
+    logout: authService.logout,
+    ensureRecordingWindow: () => {
+        global.recordingWindow = windowManager.ensureRecordingWindow({
+            preloadPath: path.join(__dirname, 'preload.js'),
+            recordingHtmlPath: path.join(__dirname, 'recordingWindow.html'),
+            state: getState(),
+            onClose: () => { global.recordingWindow = null; }
+        });
+        console.log('[main.js] ensureRecordingWindow: global.recordingWindow =', global.recordingWindow);
+        if (global.recordingWindow && !global.recordingWindow.isDestroyed()) {
+            global.recordingWindow.webContents.send('recording-state-change', getState().isRecording);
+        }
+    }
+};
+
+// Options for setupIPCHandlers(), read when it is called (the windows and clients are set up late)
+function ipcHandlerOptions() {
+    return {
+        ...recordingActions,
+        state: getState(),
+        getState,
+        store,
+        audioRecorder,
+        tempRecordingPath,
+        setState,
+        cleanupRecording: recordingServiceModule.cleanupRecording,
+        watchDevicesFor: recordingServiceModule.watchDevicesFor,
+        recordingWindow,
+        settingsWindow,
+        createAndShowLoginWindow,
+        createSettingsWindow,
+        hideSettingsWindow,
+        createRecordingWindow: recordingServiceModule.createRecordingWindow,
+        isStoppingRecording,
+        mishiIntegration,
+        supabase,
+        authService,
+    };
+}
+
 // --- Initialization ---
 
 // --- Electron App Lifecycle ---
@@ -173,61 +411,21 @@ app.on('ready', async () => {
             TEMP_RECORDING_FILENAME
         });
 
+        // Pick up recordings a crash or failed upload left behind
+        recoveryService.initRecoveryService({
+            store,
+            mishiService: mishiIntegration,
+            getState,
+            setState,
+            TEMP_RECORDING_FILENAME
+        });
+
         // Create tray *after* initial setup and checks
         console.log('[main.js] Calling trayManager.initializeTray');
-        await trayManager.initializeTray(getState(), store, {
-            startRecording: recordingServiceModule.startRecording,
-            stopRecording: recordingServiceModule.stopRecording,
-            updateAudioDevice: recordingServiceModule.updateAudioDevice,
-            showLoginWindow: () => windowManager.showLoginWindow({
-                preloadPath: path.join(__dirname, 'preload.js'),
-                loginHtmlPath: path.join(__dirname, 'login.html')
-            }),
-            toggleSettingsPanel: () => windowManager.toggleSettingsPanel({
-                recordingWindow: null, // Should be managed by windowManager
-                preloadPath: path.join(__dirname, 'preload.js'),
-                settingsHtmlPath: path.join(__dirname, 'settingsPanel.html'),
-                screen,
-                onHide: () => {}
-            }),
-            logout: authService.logout,
-            ensureRecordingWindow: () => {
-                global.recordingWindow = windowManager.ensureRecordingWindow({
-                    preloadPath: path.join(__dirname, 'preload.js'),
-                    recordingHtmlPath: path.join(__dirname, 'recordingWindow.html'),
-                    state: getState(),
-                    onClose: () => { global.recordingWindow = null; }
-                });
-                console.log('[main.js] ensureRecordingWindow: global.recordingWindow =', global.recordingWindow);
-                if (global.recordingWindow && !global.recordingWindow.isDestroyed()) {
-                    global.recordingWindow.webContents.send('recording-state-change', getState().isRecording);
-                }
-            }
-        });
+        await trayManager.initializeTray(getState(), store, trayAccess);
 
         // Initialize IPC Listeners
-        setupIPCHandlers({
-            state: getState(),
-            getState,
-            store,
-            audioRecorder,
-            tempRecordingPath,
-            setState,
-            startRecording: recordingServiceModule.startRecording,
-            stopRecording: recordingServiceModule.stopRecording,
-            cleanupRecording: recordingServiceModule.cleanupRecording,
-            recordingWindow,
-            settingsWindow,
-            createAndShowLoginWindow,
-            createSettingsWindow,
-            hideSettingsWindow,
-            createRecordingWindow: recordingServiceModule.createRecordingWindow,
-            updateAudioDevice: recordingServiceModule.updateAudioDevice,
-            isStoppingRecording,
-            mishiIntegration,
-            supabase,
-            authService,
-        });
+        setupIPCHandlers(ipcHandlerOptions());
 
         // Set up auth state change listener
         supabase.auth.onAuthStateChange(async (event, session) => {
@@ -269,23 +467,7 @@ app.on('ready', async () => {
 
         // Create tray *after* other initial setup
         console.log('[Ready Handler End] Attempting tray creation...');
-        await trayManager.initializeTray(getState(), store, {
-            startRecording: recordingServiceModule.startRecording,
-            stopRecording: recordingServiceModule.stopRecording,
-            updateAudioDevice: recordingServiceModule.updateAudioDevice,
-            showLoginWindow: () => windowManager.showLoginWindow({
-                preloadPath: path.join(__dirname, 'preload.js'),
-                loginHtmlPath: path.join(__dirname, 'login.html')
-            }),
-            toggleSettingsPanel: () => windowManager.toggleSettingsPanel({
-                recordingWindow: null, // Should be managed by windowManager
-                preloadPath: path.join(__dirname, 'preload.js'),
-                settingsHtmlPath: path.join(__dirname, 'settingsPanel.html'),
-                screen,
-                onHide: () => {}
-            }),
-            logout: authService.logout
-        }); 
+        await trayManager.initializeTray(getState(), store, trayAccess);
 
     } catch (error) {
         console.error("Critical initialization error:", error);
@@ -305,23 +487,7 @@ if (process.platform === 'darwin') {
     app.on('activate', () => {
         if (!tray) {
             console.log("No tray detected on activate, recreating...");
-            trayManager.initializeTray(getState(), store, {
-                startRecording: recordingServiceModule.startRecording,
-                stopRecording: recordingServiceModule.stopRecording,
-                updateAudioDevice: recordingServiceModule.updateAudioDevice,
-                showLoginWindow: () => windowManager.showLoginWindow({
-             preloadPath: path.join(__dirname, 'preload.js'),
-             loginHtmlPath: path.join(__dirname, 'login.html')
-                }),
-                toggleSettingsPanel: () => windowManager.toggleSettingsPanel({
-                    recordingWindow: null, // Should be managed by windowManager
-                    preloadPath: path.join(__dirname, 'preload.js'),
-                    settingsHtmlPath: path.join(__dirname, 'settingsPanel.html'),
-                    screen,
-                    onHide: () => {}
-                }),
-                logout: authService.logout
-            });
+            trayManager.initializeTray(getState(), store, trayAccess);
         }
     });
 }
@@ -405,38 +571,55 @@ stateEmitter.on('change', ({ oldState, newState }) => {
             global.recordingWindow.webContents.send('recording-state-change', false);
         }
     }
+    // Offer leftover recordings once logged in, so they can go to their meetings;
+    // a failed upload leaves its recording behind too
+    if (newState.isLoggedIn && !oldState.isLoggedIn) {
+        recoveryService.promptForOrphanedRecordings().catch(error => {
+            console.error('[main.js] Failed to prompt for orphaned recordings:', error);
+        });
+    }
+    if (newState.transcriptionStatus === 'error' && oldState.transcriptionStatus !== 'error') {
+        recoveryService.scanForOrphanedRecordings().catch(() => {});
+    }
+    // Keep the recording bar's pause button in sync
+    if (oldState.isPaused !== newState.isPaused) {
+        if (global.recordingWindow && !global.recordingWindow.isDestroyed()) {
+            global.recordingWindow.webContents.send('recording-pause-state-change', newState.isPaused);
+        }
+    }
+    // Silence auto-stop countdown, shown in the recording bar with a way to cancel it
+    if (oldState.autoStopAt !== newState.autoStopAt) {
+        if (global.recordingWindow && !global.recordingWindow.isDestroyed()) {
+            global.recordingWindow.webContents.send('recording-auto-stop', newState.autoStopAt);
+        }
+    }
+    // Markers added from the hotkey or tray flash in the recording bar too
+    if (oldState.markerCount !== newState.markerCount) {
+        if (global.recordingWindow && !global.recordingWindow.isDestroyed()) {
+            global.recordingWindow.webContents.send('recording-marker-count', newState.markerCount);
+        }
+    }
+    // File import progress, shown in the recording bar
+    if (oldState.isImporting !== newState.isImporting || (newState.isImporting && oldState.statusMessage !== newState.statusMessage)) {
+        if (global.recordingWindow && !global.recordingWindow.isDestroyed()) {
+            global.recordingWindow.webContents.send('recording-import', { importing: newState.isImporting, status: newState.statusMessage });
+        }
+    }
+    // Upload progress, shown in the recording bar and on the meeting overlay's record button
+    if (oldState.uploadProgress !== newState.uploadProgress) {
+        BrowserWindow.getAllWindows().forEach(window => {
+            if (!window.isDestroyed()) window.webContents.send('upload-progress', newState.uploadProgress);
+        });
+    }
+    // Input problems found by the health monitor, shown as a badge in the recording bar
+    if (oldState.healthWarnings !== newState.healthWarnings) {
+        if (global.recordingWindow && !global.recordingWindow.isDestroyed()) {
+            global.recordingWindow.webContents.send('recording-health', newState.healthWarnings);
+        }
+    }
     // Always update the tray menu on state change
     if (trayManager && trayManager.updateTray) {
-        console.log('[stateEmitter] Calling trayManager.updateTray() with state:', newState);
-        trayManager.updateTray(newState, {
-            startRecording: recordingServiceModule.startRecording,
-            stopRecording: recordingServiceModule.stopRecording,
-            updateAudioDevice: recordingServiceModule.updateAudioDevice,
-            showLoginWindow: () => windowManager.showLoginWindow({
-                preloadPath: path.join(__dirname, 'preload.js'),
-                loginHtmlPath: path.join(__dirname, 'login.html')
-            }),
-            toggleSettingsPanel: () => windowManager.toggleSettingsPanel({
-                recordingWindow: null, // Should be managed by windowManager
-                preloadPath: path.join(__dirname, 'preload.js'),
-                settingsHtmlPath: path.join(__dirname, 'settingsPanel.html'),
-                screen,
-                onHide: () => {}
-            }),
-            logout: authService.logout,
-            ensureRecordingWindow: () => {
-                global.recordingWindow = windowManager.ensureRecordingWindow({
-                    preloadPath: path.join(__dirname, 'preload.js'),
-                    recordingHtmlPath: path.join(__dirname, 'recordingWindow.html'),
-                    state: getState(),
-                    onClose: () => { global.recordingWindow = null; }
-                });
-                console.log('[main.js] ensureRecordingWindow: global.recordingWindow =', global.recordingWindow);
-                if (global.recordingWindow && !global.recordingWindow.isDestroyed()) {
-                    global.recordingWindow.webContents.send('recording-state-change', getState().isRecording);
-                }
-            }
-        });
+        trayManager.updateTray(newState, trayAccess);
     }
 });
 
@@ -503,61 +686,21 @@ app.on('ready', async () => {
             TEMP_RECORDING_FILENAME
         });
 
+        // Pick up recordings a crash or failed upload left behind
+        recoveryService.initRecoveryService({
+            store,
+            mishiService: mishiIntegration,
+            getState,
+            setState,
+            TEMP_RECORDING_FILENAME
+        });
+
         // Create tray *after* initial setup and checks
         console.log('[main.js] Calling trayManager.initializeTray');
-        await trayManager.initializeTray(getState(), store, {
-            startRecording: recordingServiceModule.startRecording,
-            stopRecording: recordingServiceModule.stopRecording,
-            updateAudioDevice: recordingServiceModule.updateAudioDevice,
-            showLoginWindow: () => windowManager.showLoginWindow({
-                preloadPath: path.join(__dirname, 'preload.js'),
-                loginHtmlPath: path.join(__dirname, 'login.html')
-            }),
-            toggleSettingsPanel: () => windowManager.toggleSettingsPanel({
-                recordingWindow: null, // Should be managed by windowManager
-                preloadPath: path.join(__dirname, 'preload.js'),
-                settingsHtmlPath: path.join(__dirname, 'settingsPanel.html'),
-                screen,
-                onHide: () => {}
-            }),
-            logout: authService.logout,
-            ensureRecordingWindow: () => {
-                global.recordingWindow = windowManager.ensureRecordingWindow({
-                    preloadPath: path.join(__dirname, 'preload.js'),
-                    recordingHtmlPath: path.join(__dirname, 'recordingWindow.html'),
-                    state: getState(),
-                    onClose: () => { global.recordingWindow = null; }
-                });
-                console.log('[main.js] ensureRecordingWindow: global.recordingWindow =', global.recordingWindow);
-                if (global.recordingWindow && !global.recordingWindow.isDestroyed()) {
-                    global.recordingWindow.webContents.send('recording-state-change', getState().isRecording);
-                }
-            }
-        });
+        await trayManager.initializeTray(getState(), store, trayAccess);
 
         // Initialize IPC Listeners
-        setupIPCHandlers({
-            state: getState(),
-            getState,
-            store,
-            audioRecorder,
-            tempRecordingPath,
-            setState,
-            startRecording: recordingServiceModule.startRecording,
-            stopRecording: recordingServiceModule.stopRecording,
-            cleanupRecording: recordingServiceModule.cleanupRecording,
-            recordingWindow,
-            settingsWindow,
-            createAndShowLoginWindow,
-            createSettingsWindow,
-            hideSettingsWindow,
-            createRecordingWindow: recordingServiceModule.createRecordingWindow,
-            updateAudioDevice: recordingServiceModule.updateAudioDevice,
-            isStoppingRecording,
-            mishiIntegration,
-            supabase,
-            authService,
-        });
+        setupIPCHandlers(ipcHandlerOptions());
 
         // Set up auth state change listener
         supabase.auth.onAuthStateChange(async (event, session) => {
@@ -599,23 +742,7 @@ app.on('ready', async () => {
 
         // Create tray *after* other initial setup
         console.log('[Ready Handler End] Attempting tray creation...');
-        await trayManager.initializeTray(getState(), store, {
-            startRecording: recordingServiceModule.startRecording,
-            stopRecording: recordingServiceModule.stopRecording,
-            updateAudioDevice: recordingServiceModule.updateAudioDevice,
-            showLoginWindow: () => windowManager.showLoginWindow({
-                preloadPath: path.join(__dirname, 'preload.js'),
-                loginHtmlPath: path.join(__dirname, 'login.html')
-            }),
-            toggleSettingsPanel: () => windowManager.toggleSettingsPanel({
-                recordingWindow: null, // Should be managed by windowManager
-                preloadPath: path.join(__dirname, 'preload.js'),
-                settingsHtmlPath: path.join(__dirname, 'settingsPanel.html'),
-                screen,
-                onHide: () => {}
-            }),
-            logout: authService.logout
-        }); 
+        await trayManager.initializeTray(getState(), store, trayAccess);
 
     } catch (error) {
         console.error("Critical initialization error:", error);
@@ -870,23 +997,7 @@ async function updateAudioDevice(newSettings) {
                 if (!tray || tray.isDestroyed()) {
                     throw new Error('Tray is not available');
                 }
-                await trayManager.initializeTray(getState(), store, {
-                    startRecording: recordingServiceModule.startRecording,
-                    stopRecording: recordingServiceModule.stopRecording,
-                    updateAudioDevice: recordingServiceModule.updateAudioDevice,
-                    showLoginWindow: () => windowManager.showLoginWindow({
-                        preloadPath: path.join(__dirname, 'preload.js'),
-                        loginHtmlPath: path.join(__dirname, 'login.html')
-                    }),
-                    toggleSettingsPanel: () => windowManager.toggleSettingsPanel({
-                        recordingWindow: null, // Should be managed by windowManager
-                        preloadPath: path.join(__dirname, 'preload.js'),
-                        settingsHtmlPath: path.join(__dirname, 'settingsPanel.html'),
-                        screen,
-                        onHide: () => {}
-                    }),
-                    logout: authService.logout
-                });
+                await trayManager.initializeTray(getState(), store, trayAccess);
                 console.log('Menu updated successfully');
             } catch (err) {
                 console.error(`Error updating menu (attempt ${retryCount + 1}):`, err);
@@ -926,64 +1037,9 @@ async function updateAudioDevice(newSettings) {
     }
 }
 
-// Add a synchronous method to AudioRecorder to list microphones
-AudioRecorder.listMicrophonesSync = function() {
-    try {
-        const { spawnSync } = require('child_process');
-        const result = spawnSync('ffmpeg', ['-f', 'avfoundation', '-list_devices', 'true', '-i', '']);
-        
-        const output = result.stderr.toString();
-        const devices = [];
-        let isAudioSection = false;
-        
-        output.split('\n').forEach(line => {
-            if (line.includes('AVFoundation audio devices:')) {
-                isAudioSection = true;
-                return;
-            }
-            
-            if (isAudioSection) {
-                const match = line.match(/\[(\d+)\]\s+(.+)/);
-                if (match) {
-                    devices.push({
-                        index: parseInt(match[1]),
-                        name: match[2].trim()
-                    });
-                }
-            }
-        });
-        
-        return devices;
-    } catch (error) {
-        console.error('Error listing microphones:', error);
-        return [];
-    }
-};
-
-// Add audio visualization
-let audioVisualizationInterval = null;
-
-function startAudioVisualization() {
-    if (audioVisualizationInterval) return;
-    
-    audioVisualizationInterval = setInterval(() => {
-        if (recordingWindow && getState().isRecording) {
-            const audioData = audioRecorder.getAudioData();
-            recordingWindow.webContents.send('audio-data', audioData);
-        }
-    }, 50); // Update every 50ms
-}
-
-function stopAudioVisualization() {
-    if (audioVisualizationInterval) {
-        clearInterval(audioVisualizationInterval);
-        audioVisualizationInterval = null;
-    }
-}
-
 // Clean up on app quit
 app.on('before-quit', () => {
-    stopAudioVisualization();
+    recordingServiceModule.stopAudioVisualization();
 });
 
 // Add theme change listener
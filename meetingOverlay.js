@@ -711,9 +711,99 @@ window.addEventListener('DOMContentLoaded', () => {
   let transcriptionReady = false;
   let isEnhancing = false;
   let enhancementReady = false;
+  // { meetingId, sent, total, rate, eta } while a recording is being uploaded
+  let uploadProgress = null;
+
+  // Transcription options for this meeting (language, speakers, features), opened from the
+  // record bar's chevron. Only meetings changed here send overrides; the others use the
+  // workspace defaults from Settings. The selected company is always sent, so its name and
+  // people are boosted in the transcript.
+  const transcriptionPanel = document.getElementById('transcriptionPanel');
+  const transcriptionToggle = document.querySelector('#recordBar .chevron-icon-container');
+  const meetingLanguage = document.getElementById('meetingLanguage');
+  const meetingSpeakers = document.getElementById('meetingSpeakers');
+  const meetingFeatures = document.getElementById('meetingFeatures');
+  const meetingTranscriptionOptions = new Map();
+  let transcriptionDefaults = null;
+
+  function showMeetingTranscription() {
+    const options = meetingTranscriptionOptions.get(getCurrentMeetingId()) || transcriptionDefaults;
+    if (!options) return;
+    meetingLanguage.value = options.languageCode;
+    meetingSpeakers.value = options.speakersExpected ? String(options.speakersExpected) : '';
+    meetingFeatures.querySelectorAll('input').forEach(checkbox => {
+      checkbox.checked = !!options.features[checkbox.value];
+    });
+  }
+
+  function meetingTranscription(meetingId) {
+    return { ...(meetingTranscriptionOptions.get(meetingId) || {}), companyId: selectedCompanyId };
+  }
+
+  function saveMeetingTranscription() {
+    const meetingId = getCurrentMeetingId();
+    if (!meetingId) return;
+    const features = {};
+    meetingFeatures.querySelectorAll('input').forEach(checkbox => {
+      features[checkbox.value] = checkbox.checked;
+    });
+    const speakers = parseInt(meetingSpeakers.value, 10);
+    meetingTranscriptionOptions.set(meetingId, {
+      languageCode: meetingLanguage.value,
+      speakersExpected: Number.isNaN(speakers) ? null : speakers,
+      features
+    });
+  }
+
+  // Choices are fixed once the meeting is being recorded or sent
+  function lockTranscriptionOptions(locked) {
+    transcriptionPanel.querySelectorAll('select, input').forEach(control => { control.disabled = locked; });
+  }
+
+  function loadTranscriptionDefaults() {
+    return ipcRenderer.invoke('get-transcription-options').then(({ defaults }) => {
+      transcriptionDefaults = defaults;
+    });
+  }
+
+  ipcRenderer.invoke('get-transcription-options').then(({ defaults, languages, features, maxSpeakers }) => {
+    transcriptionDefaults = defaults;
+    languages.forEach(language => {
+      meetingLanguage.add(new Option(language.name, language.code));
+    });
+    for (let count = 1; count <= maxSpeakers; count++) {
+      meetingSpeakers.add(new Option(String(count), String(count)));
+    }
+    features.forEach(feature => {
+      const label = document.createElement('label');
+      label.className = 'feature';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = feature.id;
+      label.append(checkbox, feature.name);
+      meetingFeatures.appendChild(label);
+    });
+    showMeetingTranscription();
+    lockTranscriptionOptions(isRecording || isTranscribing);
+  });
+
+  transcriptionToggle.addEventListener('click', async () => {
+    const open = transcriptionPanel.style.display === 'none';
+    if (open) {
+      await loadTranscriptionDefaults();
+      showMeetingTranscription();
+    }
+    transcriptionPanel.style.display = open ? '' : 'none';
+    transcriptionToggle.classList.toggle('open', open);
+  });
+
+  meetingLanguage.addEventListener('change', saveMeetingTranscription);
+  meetingSpeakers.addEventListener('change', saveMeetingTranscription);
+  meetingFeatures.addEventListener('change', saveMeetingTranscription);
 
   // Helper to update the record/enhance button UI
   function updateRecordButton() {
+    lockTranscriptionOptions(isRecording || isTranscribing || isEnhancing);
     if (isEnhancing) {
       recordBtn.disabled = true;
       recordBtn.innerHTML = '<span>Enhancing...</span>';
@@ -733,6 +823,16 @@ window.addEventListener('DOMContentLoaded', () => {
       recordBtn.title = 'Stop Recording';
       return;
     }
+    if (uploadProgress && uploadProgress.meetingId === getCurrentMeetingId()) {
+      const percent = uploadProgress.total > 0 ? Math.floor((uploadProgress.sent / uploadProgress.total) * 100) : 0;
+      recordBtn.disabled = true;
+      recordBtn.classList.remove('recording');
+      recordBtn.innerHTML = `<span>Uploading ${percent}%</span>`;
+      recordBtn.title = uploadProgress.eta !== null
+        ? `About ${Math.max(1, Math.round(uploadProgress.eta / 60))} min left`
+        : 'Uploading audio...';
+      return;
+    }
     if (isTranscribing) {
       recordBtn.disabled = true;
       recordBtn.classList.remove('recording');
@@ -750,6 +850,38 @@ window.addEventListener('DOMContentLoaded', () => {
   // Initial state
   updateRecordButton();
 
+  ipcRenderer.on('upload-progress', (event, progress) => {
+    uploadProgress = progress;
+    updateRecordButton();
+  });
+
+  // Live waveform: one peak per bar (3-20px)
+  const waveformBars = Array.from(document.querySelectorAll('#waveform div'));
+  const idleHeights = waveformBars.map(bar => parseInt(bar.style.height, 10) || 10);
+  let waveformIdleTimeout = null;
+
+  function setWaveformBars(heights) {
+    waveformBars.forEach((bar, i) => bar.style.setProperty('height', `${heights[i]}px`, 'important'));
+  }
+
+  function onVisualizationFrame(frame) {
+    setWaveformBars(waveformBars.map((_, i) => {
+      return frame.paused ? 3 : Math.round(3 + Math.min(1, frame.peaks[i] * 2) * 17);
+    }));
+    // Frames stop when the recording does; settle back to the idle shape
+    clearTimeout(waveformIdleTimeout);
+    waveformIdleTimeout = setTimeout(() => setWaveformBars(idleHeights), 500);
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'visualization-port') {
+      event.ports[0].onmessage = (message) => onVisualizationFrame(message.data);
+    }
+  });
+  if (waveformBars.length > 0) {
+    window.electronAPI.subscribeVisualization({ points: waveformBars.length });
+  }
+
   // Record button click handler
   recordBtn.addEventListener('click', async () => {
     if (isEnhancing) return;
@@ -796,7 +928,9 @@ window.addEventListener('DOMContentLoaded', () => {
       isRecording = true;
       updateRecordButton();
       try {
-        await ipcRenderer.invoke('start-recording-audio');
+        await ipcRenderer.invoke('start-recording-audio', {
+          transcription: meetingTranscription(meetingId)
+        });
       } catch (err) {
         isRecording = false;
         updateRecordButton();
@@ -839,6 +973,47 @@ window.addEventListener('DOMContentLoaded', () => {
     if (typeof updateRecordBarVisibility === 'function') updateRecordBarVisibility();
   });
 
+  // Dropping an audio/video file transcribes it: into this meeting once one is set up,
+  // otherwise into a new meeting named after the file
+  document.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    const canDrop = !isRecording && !isTranscribing && event.dataTransfer.types.includes('Files');
+    event.dataTransfer.dropEffect = canDrop ? 'copy' : 'none';
+    document.body.classList.toggle('drop-target', canDrop);
+  });
+
+  document.addEventListener('dragleave', (event) => {
+    if (!event.relatedTarget) document.body.classList.remove('drop-target');
+  });
+
+  document.addEventListener('drop', async (event) => {
+    event.preventDefault();
+    document.body.classList.remove('drop-target');
+    const file = event.dataTransfer.files[0];
+    if (!file || isRecording || isTranscribing) return;
+    const meetingId = getCurrentMeetingId();
+    if (meetingId) {
+      const setMeetingRes = await ipcRenderer.invoke('set-current-meeting', meetingId);
+      if (!setMeetingRes.success) {
+        alert('Failed to set meeting session: ' + setMeetingRes.error);
+        return;
+      }
+    }
+    isTranscribing = true;
+    updateRecordButton();
+    try {
+      const res = await ipcRenderer.invoke('import-recording', {
+        filePath: file.path,
+        target: meetingId ? 'current' : 'new',
+        transcription: meetingId ? meetingTranscription(meetingId) : undefined
+      });
+      if (!res.success) alert('Failed to import recording: ' + res.error);
+    } finally {
+      isTranscribing = false;
+      updateRecordButton();
+    }
+  });
+
   // --- SIDEBAR BUTTON LOGIC ---
   const sidebarPrepareBtn = document.getElementById('sidebarPrepareBtn');
   const sidebarDiscussBtn = document.getElementById('sidebarDiscussBtn');
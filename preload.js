@@ -27,12 +27,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Recording window APIs
     startRecording: () => ipcRenderer.send('start-recording'),
     stopRecording: () => ipcRenderer.send('stop-recording'),
+    pauseRecording: () => ipcRenderer.send('pause-recording'),
+    resumeRecording: () => ipcRenderer.send('resume-recording'),
     openSettings: () => ipcRenderer.send('open-settings'),
     toggleSettings: () => ipcRenderer.send('toggle-settings'),
     toggleRecordingWindow: () => ipcRenderer.send('toggle-recording-window'),
     closeWindow: () => ipcRenderer.send('close-recording-window'),
-    onAudioData: (callback) => ipcRenderer.on('audio-data', (_, data) => callback(data)),
+    // Transcribe an audio/video file; without options.filePath a file dialog opens
+    importRecording: (options) => ipcRenderer.invoke('import-recording', options),
+    // Ask for live level/waveform frames; the port arrives as a 'visualization-port' window message
+    subscribeVisualization: (options) => ipcRenderer.send('visualization-subscribe', options),
+    unsubscribeVisualization: () => ipcRenderer.send('visualization-unsubscribe'),
     onRecordingStateChange: (callback) => ipcRenderer.on('recording-state-change', (_, state) => callback(state)),
+    onRecordingPauseStateChange: (callback) => ipcRenderer.on('recording-pause-state-change', (_, isPaused) => callback(isPaused)),
     
     // System APIs
     onSystemThemeChange: (callback) => ipcRenderer.on('system-theme-change', (_, isDark) => callback(isDark)),
@@ -41,11 +48,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getSettings: () => ipcRenderer.invoke('get-settings'),
     updateSettings: (changes) => ipcRenderer.invoke('update-settings', changes),
     listAudioInputDevices: () => ipcRenderer.invoke('list-audio-input-devices'),
+    getFFmpegInfo: () => ipcRenderer.invoke('get-ffmpeg-info'),
+    getTranscriptionOptions: () => ipcRenderer.invoke('get-transcription-options'),
+    onAudioDevicesChanged: (callback) => ipcRenderer.on('audio-devices-changed', (_, devices) => callback(devices)),
     onSettingsChange: (callback) => ipcRenderer.on('settings-change', (_, settings) => callback(settings)),
     onSettingsStateChange: (callback) => ipcRenderer.on('settings-state-change', (_, isOpen) => callback(isOpen)),
     onBeforeHide: (callback) => ipcRenderer.on('before-hide', callback)
 });
 
+// MessagePorts can't cross the context bridge; hand the visualization port to the page.
+// Frames on it are { level, paused, levels?, waveform?: Float32Array, peaks?: Float32Array }.
+ipcRenderer.on('visualization-port', (event) => {
+    window.postMessage({ type: 'visualization-port' }, '*', event.ports);
+});
+
 // Add meeting update handler with enhanced logging
 ipcRenderer.on('meeting-updated', (event, data) => {
     console.log('[Preload] Received meeting update:', {
@@ -3,8 +3,22 @@ window.addEventListener('DOMContentLoaded', () => {
   const ipcRenderer = window.electron.ipcRenderer;
 
   const recordBtn = document.getElementById('recordBtn');
+  const pauseBtn = document.getElementById('pauseBtn');
+  const keepRecordingBtn = document.getElementById('keepRecordingBtn');
+  const healthBadge = document.getElementById('healthBadge');
+  const levelMeter = document.getElementById('levelMeter');
+  const markerBtn = document.getElementById('markerBtn');
+  const markerLabel = document.getElementById('markerLabel');
+  const levelFill = document.getElementById('levelFill');
+  const barContainer = document.getElementById('barContainer');
+  const importStatus = document.getElementById('importStatus');
+  const uploadStatus = document.getElementById('uploadStatus');
   
   let isRecording = false;
+  let isPaused = false;
+  let autoStopTimer = null;
+  let markerFlashTimeout = null;
+  let isImporting = false;
 
   function setRecordingState(recording) {
     isRecording = recording;
@@ -27,6 +41,73 @@ window.addEventListener('DOMContentLoaded', () => {
       recordBtn.style.background = '';
       recordBtn.style.color = '';
     }
+    pauseBtn.style.display = isRecording ? '' : 'none';
+    levelMeter.style.display = isRecording ? '' : 'none';
+    markerBtn.style.display = isRecording ? '' : 'none';
+    levelFill.style.width = '0';
+    if (!isRecording) {
+      setPausedState(false);
+      setAutoStop(null);
+      setHealthWarnings([]);
+    }
+  }
+
+  function setPausedState(paused) {
+    isPaused = paused;
+    if (isPaused) {
+      pauseBtn.classList.add('paused');
+      pauseBtn.title = 'Resume';
+      pauseBtn.innerHTML = `
+        <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M8 6l10 6-10 6z"/></svg>
+        Resume
+      `;
+      recordBtn.style.background = '#232323';
+    } else {
+      pauseBtn.classList.remove('paused');
+      pauseBtn.title = 'Pause';
+      pauseBtn.innerHTML = `
+        <svg fill="none" stroke="currentColor" stroke-width="2" viewBox="0 0 24 24"><path d="M9 6v12M15 6v12"/></svg>
+        Pause
+      `;
+      if (isRecording) {
+        recordBtn.style.background = '#ff3b30';
+      }
+    }
+  }
+
+  // Countdown to a silence auto-stop; clicking cancels it
+  function setAutoStop(autoStopAt) {
+    clearInterval(autoStopTimer);
+    autoStopTimer = null;
+    if (!autoStopAt) {
+      keepRecordingBtn.style.display = 'none';
+      return;
+    }
+    const stopAt = new Date(autoStopAt).getTime();
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((stopAt - Date.now()) / 1000));
+      keepRecordingBtn.textContent = `Keep recording (${seconds}s)`;
+    };
+    update();
+    autoStopTimer = setInterval(update, 1000);
+    keepRecordingBtn.style.display = '';
+  }
+
+  // Confirm a marker (from this button, the hotkey or the tray) for a moment
+  function showMarkerCount(count) {
+    markerBtn.title = count > 0 ? `Add marker (${count} so far)` : 'Add marker';
+    if (count === 0) return;
+    markerLabel.textContent = `Marked ${count}`;
+    clearTimeout(markerFlashTimeout);
+    markerFlashTimeout = setTimeout(() => {
+      markerLabel.textContent = 'Mark';
+    }, 1500);
+  }
+
+  // Input problems (dead mic, clipping, low level); the messages are in the tooltip
+  function setHealthWarnings(warnings) {
+    healthBadge.style.display = warnings.length > 0 ? '' : 'none';
+    healthBadge.title = warnings.map(warning => warning.message).join('\n');
   }
 
   // Initial state
@@ -45,6 +126,113 @@ window.addEventListener('DOMContentLoaded', () => {
     setRecordingState(recording);
   });
 
+  pauseBtn.addEventListener('click', () => {
+    ipcRenderer.send(isPaused ? 'resume-recording' : 'pause-recording');
+  });
+
+  ipcRenderer.on('recording-pause-state-change', (event, paused) => {
+    console.log('[recordingBar.js] Received recording-pause-state-change:', paused);
+    setPausedState(paused);
+  });
+
+  markerBtn.addEventListener('click', () => {
+    ipcRenderer.invoke('add-recording-marker').then(res => {
+      if (!res.success) console.warn('[recordingBar.js] Marker not added:', res.error);
+    });
+  });
+
+  ipcRenderer.on('recording-marker-count', (event, count) => {
+    showMarkerCount(count);
+  });
+
+  keepRecordingBtn.addEventListener('click', () => {
+    ipcRenderer.send('cancel-auto-stop');
+  });
+
+  ipcRenderer.on('recording-auto-stop', (event, autoStopAt) => {
+    console.log('[recordingBar.js] Received recording-auto-stop:', autoStopAt);
+    setAutoStop(autoStopAt);
+  });
+
+  // Live input level; dBFS, -60..0 dB shown as 0..100%. Only the level is needed, so no waveform.
+  window.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'visualization-port') return;
+    event.ports[0].onmessage = ({ data: frame }) => {
+      if (!isRecording) return;
+      const normalized = (Math.max(-60, Math.min(0, frame.level)) + 60) / 60;
+      levelFill.style.width = `${Math.round(normalized * 100)}%`;
+      levelMeter.classList.toggle('paused', !!frame.paused);
+    };
+  });
+  window.electronAPI.subscribeVisualization({ points: 0 });
+
+  ipcRenderer.on('recording-health', (event, warnings) => {
+    console.log('[recordingBar.js] Received recording-health:', warnings);
+    setHealthWarnings(warnings || []);
+  });
+
+  // Import a file recorded elsewhere by dropping it on the bar. Every drop is handled
+  // here, otherwise the window would navigate to the dropped file.
+  function setImportState({ importing, status }) {
+    isImporting = importing;
+    importStatus.style.display = importing ? '' : 'none';
+    importStatus.textContent = importing ? status : '';
+    importStatus.title = importing ? status : '';
+    recordBtn.disabled = importing;
+  }
+
+  document.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    const canDrop = !isRecording && !isImporting && event.dataTransfer.types.includes('Files');
+    event.dataTransfer.dropEffect = canDrop ? 'copy' : 'none';
+    barContainer.classList.toggle('drop-target', canDrop);
+  });
+
+  document.addEventListener('dragleave', (event) => {
+    if (!event.relatedTarget) barContainer.classList.remove('drop-target');
+  });
+
+  document.addEventListener('drop', (event) => {
+    event.preventDefault();
+    barContainer.classList.remove('drop-target');
+    const file = event.dataTransfer.files[0];
+    if (!file || isRecording || isImporting) return;
+    ipcRenderer.invoke('import-recording', { filePath: file.path }).then(res => {
+      if (!res.success) alert('Failed to import recording: ' + res.error);
+    });
+  });
+
+  ipcRenderer.on('recording-import', (event, importState) => {
+    setImportState(importState);
+  });
+
+  // Upload of a stopped recording or imported file: "Uploading 42% · 1:05 left"
+  function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+
+  function setUploadProgress(progress) {
+    uploadStatus.style.display = progress ? '' : 'none';
+    if (!progress) {
+      uploadStatus.textContent = '';
+      uploadStatus.title = '';
+      return;
+    }
+    const { sent, total, rate, eta } = progress;
+    const percent = total > 0 ? Math.floor((sent / total) * 100) : 0;
+    let text = `Uploading ${percent}%`;
+    if (eta !== null && sent < total) {
+      text += ` · ${Math.floor(eta / 60)}:${String(eta % 60).padStart(2, '0')} left`;
+    }
+    uploadStatus.textContent = text;
+    uploadStatus.title = `${formatBytes(sent)} of ${formatBytes(total)}${rate ? ` at ${formatBytes(rate)}/s` : ''}`;
+  }
+
+  ipcRenderer.on('upload-progress', (event, progress) => {
+    setUploadProgress(progress);
+  });
+
   // --- Meeting Dialog Logic ---
   const meetingBtn = document.getElementById('meetingBtn');
   const meetingDialog = document.getElementById('meetingDialog');
@@ -5,6 +5,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const caretButton = document.getElementById('caretButton');
     const durationDisplay = document.getElementById('duration');
     const levelIndicator = document.getElementById('levelIndicator');
+    const sourceMeters = document.getElementById('sourceMeters');
+    const micMeter = document.getElementById('micMeter');
+    const systemMeter = document.getElementById('systemMeter');
+    const speechIndicator = document.getElementById('speechIndicator');
     
     let isRecording = false;
     let recordingStartTime = null;
@@ -128,9 +132,32 @@ document.addEventListener('DOMContentLoaded', () => {
         return level;
     }
 
+    // Spectrum bars behind the waveform; band levels arrive in dBFS, -70..0 dB fills the height
+    function drawSpectrum(bands) {
+        const barWidth = waveformCanvas.width / bands.length;
+        ctx.fillStyle = getComputedStyle(document.documentElement)
+            .getPropertyValue('--waveform-stroke').trim();
+        ctx.globalAlpha = 0.15;
+        for (let i = 0; i < bands.length; i++) {
+            const height = ((Math.max(-70, Math.min(0, bands[i])) + 70) / 70) * waveformCanvas.height;
+            ctx.fillRect(i * barWidth + 1, waveformCanvas.height - height, Math.max(1, barWidth - 2), height);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Voice when most of the energy above 60 Hz is in the speech band and it isn't silence
+    function updateSpeechIndicator(speech) {
+        const voice = speech.ratio >= 0.6 && speech.level > -50;
+        speechIndicator.classList.add('active');
+        speechIndicator.classList.toggle('voice', voice);
+        speechIndicator.title = voice ? 'Voice detected'
+            : speech.level > -50 ? 'Sound, but mostly outside the speech band (noise?)' : 'Quiet';
+    }
+
     // Audio visualization with smooth transitions
-    function visualize(audioData) {
+    function visualize(audioData, spectrum) {
         ctx.clearRect(0, 0, waveformCanvas.width, waveformCanvas.height);
+        if (spectrum) drawSpectrum(spectrum.bands);
         
         // Calculate audio level and update indicator
         const level = calculateAudioLevel(audioData);
@@ -168,7 +195,7 @@ document.addEventListener('DOMContentLoaded', () => {
         ctx.lineWidth = 2;
         
         for (let i = 0; i < audioData.length; i++) {
-            const v = (audioData[i] / 128.0) * scale;
+            const v = audioData[i] * scale;
             const y = (v * waveformCanvas.height / 4) + centerY;
             
             // Enhanced smooth transition
@@ -266,8 +293,16 @@ document.addEventListener('DOMContentLoaded', () => {
         lastOptionKeyTime = 0;
     });
 
+    // Dual-source capture: independent meters for the mic and the system audio.
+    // Levels arrive in dBFS; show -60..0 dB as 0..100%.
+    function meterHeight(db) {
+        const normalized = (Math.max(-60, Math.min(0, db)) + 60) / 60;
+        return `${Math.round(normalized * 100)}%`;
+    }
+
     // Listen for audio data updates
-    window.electronAPI.onAudioData((audioData) => {
+    function onVisualizationFrame(frame) {
+        if (!isRecording) return;
         // Cancel any existing animation frame
         if (animationFrameId) {
             cancelAnimationFrame(animationFrameId);
@@ -275,9 +310,24 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Schedule the next visualization frame
         animationFrameId = requestAnimationFrame(() => {
-            visualize(new Float32Array(audioData));
+            visualize(frame.waveform, frame.spectrum);
         });
+
+        if (frame.spectrum) updateSpeechIndicator(frame.spectrum.speech);
+
+        if (frame.levels) {
+            sourceMeters.classList.add('active');
+            micMeter.style.height = meterHeight(frame.levels.mic);
+            systemMeter.style.height = meterHeight(frame.levels.system);
+        }
+    }
+
+    window.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'visualization-port') {
+            event.ports[0].onmessage = (message) => onVisualizationFrame(message.data);
+        }
     });
+    window.electronAPI.subscribeVisualization({ points: 128 });
 
     // Listen for recording state changes
     window.electronAPI.onRecordingStateChange((recording) => {
@@ -289,6 +339,8 @@ document.addEventListener('DOMContentLoaded', () => {
             startDurationTimer();
         } else {
             stopDurationTimer();
+            sourceMeters.classList.remove('active');
+            speechIndicator.classList.remove('active');
             // Reset visualization
             previousPoints = [];
             maxLevel = 0;
@@ -3,12 +3,56 @@ document.addEventListener('DOMContentLoaded', () => {
     const noiseReduction = document.getElementById('noiseReduction');
     const loudnessNorm = document.getElementById('loudnessNorm');
     const vad = document.getElementById('vad');
+    const outputFormat = document.getElementById('outputFormat');
+    const outputSampleRate = document.getElementById('outputSampleRate');
+    const outputBitrate = document.getElementById('outputBitrate');
+    const outputBitrateRow = document.getElementById('outputBitrateRow');
+    const fallbackSource = document.getElementById('fallbackSource');
+    const dualSourceEnabled = document.getElementById('dualSourceEnabled');
+    const systemSource = document.getElementById('systemSource');
+    const dualSourceMode = document.getElementById('dualSourceMode');
+    const dualSourceRows = document.querySelectorAll('.dual-source-row');
+    const silenceThreshold = document.getElementById('silenceThreshold');
+    const autoPauseEnabled = document.getElementById('autoPauseEnabled');
+    const autoPauseAfter = document.getElementById('autoPauseAfter');
+    const autoPauseAfterRow = document.getElementById('autoPauseAfterRow');
+    const autoStopEnabled = document.getElementById('autoStopEnabled');
+    const autoStopAfter = document.getElementById('autoStopAfter');
+    const autoStopAfterRow = document.getElementById('autoStopAfterRow');
+    const trimTrailingEnabled = document.getElementById('trimTrailingEnabled');
+    const spectrumEnabled = document.getElementById('spectrumEnabled');
+    const transcriptionLanguage = document.getElementById('transcriptionLanguage');
+    const transcriptionSpeakers = document.getElementById('transcriptionSpeakers');
+    const transcriptionFeatures = document.getElementById('transcriptionFeatures');
+    const transcriptionVocabulary = document.getElementById('transcriptionVocabulary');
+    const ffmpegPath = document.getElementById('ffmpegPath');
+    const ffmpegStatus = document.getElementById('ffmpegStatus');
     const presetButtons = document.querySelectorAll('.preset-button');
 
-    // Function to populate the audio input devices dropdown
-    function populateAudioInputDevices(devices) {
+    // Devices from the last listing, keyed by the option value (device.uid)
+    let availableDevices = [];
+
+    // Stored form of a listed device; mirrors toStoredDevice() in src/main/deviceRegistry.js
+    function toStoredDevice(device) {
+        return {
+            uid: device.uid,
+            type: device.type,
+            index: device.index,
+            name: device.name,
+            id: device.id || '',
+            isMonitor: !!device.isMonitor
+        };
+    }
+
+    // Function to populate the audio input devices dropdown.
+    // `live` refreshes come from the device watcher while the panel is open; `selected`
+    // holds the uids the stored settings resolve to (from the initial listing).
+    function populateAudioInputDevices(devices, { live = false, selected = null } = {}) {
         if (!inputSource) return;
-        const currentVal = inputSource.value; // Store current value to try and reselect
+        // Store current value to try and reselect
+        const currentVal = selected ? (selected.inputDevice || '') : inputSource.value;
+        const currentLabel = inputSource.selectedIndex >= 0 ? inputSource.options[inputSource.selectedIndex].textContent : '';
+        availableDevices = devices;
 
         // Clear existing options (except a potential default or placeholder if any)
         while (inputSource.options.length > 0) {
@@ -23,25 +67,141 @@ document.addEventListener('DOMContentLoaded', () => {
 
         devices.forEach(device => {
             const option = document.createElement('option');
-            // We'll use the format "type:index" as value, e.g., "avfoundation:1"
-            // This assumes the main process can handle this format or we adapt it later.
-            // For now, let's assume settings store just the 'index' for avfoundation devices.
-            option.value = device.index; // Or `avfoundation:${device.index}` if we want to be more specific
-            option.textContent = device.name;
+            // The option value is the stable device.uid from the main process list; the
+            // full device (type/id for PulseAudio and ALSA sources) is looked up on change.
+            option.value = device.uid;
+            option.textContent = device.isMonitor ? `${device.name} (system audio)` : device.name;
             inputSource.appendChild(option);
         });
 
+        populateSystemSources(devices, selected && (selected.systemDevice || 'system'));
+        populateFallbackSources(devices, selected && (selected.fallbackInputDevice || 'default'));
+
         // Try to reselect the previous value if it still exists
         if (Array.from(inputSource.options).some(opt => opt.value === currentVal)) {
             inputSource.value = currentVal;
+        } else if (live && currentVal) {
+            // An unplugged device stays selected (and saved) so it is used again when it comes back
+            const option = document.createElement('option');
+            option.value = currentVal;
+            option.textContent = `${currentLabel.replace(/ \(disconnected\)$/, '')} (disconnected)`;
+            option.disabled = true;
+            inputSource.appendChild(option);
+            inputSource.value = currentVal;
         } else if (devices.length > 0) {
             // Or select the first available device if the old one is gone
-            inputSource.value = devices[0].index; 
+            inputSource.value = devices[0].uid;
             // Trigger change to save the new default if necessary
             inputSource.dispatchEvent(new Event('change')); 
         }
     }
 
+    // Loopback choices for dual-source capture; monitor sources first since they carry call audio
+    function populateSystemSources(devices, selectedVal) {
+        const currentVal = selectedVal || systemSource.value;
+        while (systemSource.options.length > 1) {
+            systemSource.remove(1);
+        }
+        [...devices]
+            .sort((a, b) => (b.isMonitor ? 1 : 0) - (a.isMonitor ? 1 : 0))
+            .forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.uid;
+                option.textContent = device.isMonitor ? `${device.name} (system audio)` : device.name;
+                systemSource.appendChild(option);
+            });
+        if (Array.from(systemSource.options).some(opt => opt.value === currentVal)) {
+            systemSource.value = currentVal;
+        }
+    }
+
+    // Device used when the input source disappears mid-recording
+    function populateFallbackSources(devices, selectedVal) {
+        const currentVal = selectedVal || fallbackSource.value;
+        while (fallbackSource.options.length > 1) {
+            fallbackSource.remove(1);
+        }
+        devices.filter(device => !device.isMonitor).forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.uid;
+            option.textContent = device.name;
+            fallbackSource.appendChild(option);
+        });
+        if (Array.from(fallbackSource.options).some(opt => opt.value === currentVal)) {
+            fallbackSource.value = currentVal;
+        }
+    }
+
+    // Which FFmpeg binary recordings will use, and where it was found
+    function refreshFFmpegStatus() {
+        const sources = {
+            settings: 'from Settings',
+            bundled: 'bundled',
+            path: 'from PATH',
+            common: 'found on this system',
+            fallback: 'not found'
+        };
+        ffmpegStatus.textContent = 'Checking FFmpeg...';
+        window.electronAPI.getFFmpegInfo().then(info => {
+            const prefix = info.overrideError ? `Ignoring setting (${info.overrideError}). ` : '';
+            ffmpegStatus.textContent = info.success
+                ? `${prefix}FFmpeg ${info.version || ''} ${sources[info.source] || ''}: ${info.path}`
+                : `${prefix}${info.error}`;
+        });
+    }
+
+    // Language, speaker and feature choices come from src/main/transcriptionOptions.js
+    function loadTranscriptionOptions() {
+        window.electronAPI.getTranscriptionOptions().then(({ defaults, languages, features, maxSpeakers }) => {
+            languages.forEach(language => {
+                const option = document.createElement('option');
+                option.value = language.code;
+                option.textContent = language.name;
+                transcriptionLanguage.appendChild(option);
+            });
+            transcriptionLanguage.value = defaults.languageCode;
+
+            for (let count = 1; count <= maxSpeakers; count++) {
+                const option = document.createElement('option');
+                option.value = String(count);
+                option.textContent = count === 1 ? '1 speaker' : `${count} speakers`;
+                transcriptionSpeakers.appendChild(option);
+            }
+            transcriptionSpeakers.value = defaults.speakersExpected ? String(defaults.speakersExpected) : '';
+            transcriptionVocabulary.value = defaults.vocabulary.join('\n');
+
+            features.forEach(feature => {
+                const row = document.createElement('div');
+                row.className = 'setting-row';
+                row.innerHTML = `
+                    <span class="setting-label"></span>
+                    <label class="switch">
+                        <input type="checkbox">
+                        <span class="slider"></span>
+                    </label>
+                `;
+                row.querySelector('.setting-label').textContent = feature.name;
+                const checkbox = row.querySelector('input');
+                checkbox.checked = !!defaults.features[feature.id];
+                checkbox.addEventListener('change', () => {
+                    updateSettings({ transcription: { features: { [feature.id]: checkbox.checked } } });
+                });
+                transcriptionFeatures.appendChild(row);
+            });
+        });
+    }
+
+    function updateSilenceVisibility() {
+        autoPauseAfterRow.style.display = autoPauseEnabled.checked ? '' : 'none';
+        autoStopAfterRow.style.display = autoStopEnabled.checked ? '' : 'none';
+    }
+
+    function updateDualSourceVisibility() {
+        dualSourceRows.forEach(row => {
+            row.style.display = dualSourceEnabled.checked ? '' : 'none';
+        });
+    }
+
     // Handle window close with animation
     window.electronAPI.onBeforeHide(() => {
         document.body.classList.add('hiding');
@@ -107,20 +267,37 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!settings.processing.loudnessNorm) settings.processing.loudnessNorm = { enabled: false };
             if (!settings.processing.vad) settings.processing.vad = { enabled: false };
 
-            // Ensure inputDevice and its properties exist
-            if (!settings.inputDevice) settings.inputDevice = { type: 'avfoundation', index: 0, name: '' }; // Default to first avfoundation if not set
-            if (typeof settings.inputDevice.index === 'undefined') settings.inputDevice.index = 0;
-
-            // If the stored type is avfoundation, use its index. Otherwise, old values might not match.
-            // The populateAudioInputDevices function will select the first available device if no match is found.
-            if (settings.inputDevice.type === 'avfoundation') {
-                inputSource.value = settings.inputDevice.index.toString();
-            } else {
-                // For old types 'system' or 'mic', their value might not directly map to an index.
-                // The populateAudioInputDevices function handles selecting a default if current value doesn't exist.
-                // We can attempt to set it, but it might not be found if options changed.
-                inputSource.value = settings.inputDevice.type; 
-            }
+            // Device selections are restored from the uids the device listing resolves
+            // the stored settings to (see populateAudioInputDevices)
+            ffmpegPath.value = settings.ffmpegPath || '';
+
+            // Silence defaults mirror DEFAULT_SILENCE_RULES in src/main/silenceMonitor.js
+            const silence = settings.silence || {};
+            const autoPause = { enabled: false, after: 30, ...(silence.autoPause || {}) };
+            const autoStop = { enabled: false, after: 15, ...(silence.autoStop || {}) };
+            const trimTrailing = { enabled: false, ...(silence.trimTrailing || {}) };
+            silenceThreshold.value = String(typeof silence.threshold === 'number' ? silence.threshold : -50);
+            autoPauseEnabled.checked = autoPause.enabled;
+            autoPauseAfter.value = String(autoPause.after);
+            autoStopEnabled.checked = autoStop.enabled;
+            autoStopAfter.value = String(autoStop.after);
+            trimTrailingEnabled.checked = trimTrailing.enabled;
+            updateSilenceVisibility();
+
+            const visualization = settings.visualization || {};
+            spectrumEnabled.checked = !!(visualization.spectrum && visualization.spectrum.enabled);
+
+            const dualSource = { enabled: false, mode: 'split', systemDevice: null, ...(settings.dualSource || {}) };
+            dualSourceEnabled.checked = dualSource.enabled;
+            dualSourceMode.value = dualSource.mode;
+            updateDualSourceVisibility();
+
+            // Output defaults mirror DEFAULT_OUTPUT in src/main/outputFormats.js
+            const output = { format: 'opus', sampleRate: 16000, bitrate: '32k', ...(settings.output || {}) };
+            outputFormat.value = output.format;
+            outputSampleRate.value = String(output.sampleRate);
+            outputBitrate.value = output.bitrate;
+            updateBitrateVisibility();
 
             noiseReduction.checked = settings.processing.noiseReduction.enabled;
             loudnessNorm.checked = settings.processing.loudnessNorm.enabled;
@@ -141,13 +318,107 @@ document.addEventListener('DOMContentLoaded', () => {
         const selectedOption = inputSource.options[inputSource.selectedIndex];
         if (!selectedOption) return; // Should not happen if list is populated
 
-        updateSettings({
-            inputDevice: {
-                type: 'avfoundation', // Set type to avfoundation for these devices
-                index: parseInt(inputSource.value, 10), // This is the device.index
-                name: selectedOption.textContent      // Get the name from the selected option
-            }
-        });
+        const device = availableDevices.find(d => d.uid === inputSource.value);
+        if (!device) return; // A disconnected device stays saved as it was
+
+        updateSettings({ inputDevice: toStoredDevice(device) });
+    });
+
+    fallbackSource.addEventListener('change', () => {
+        if (fallbackSource.value === 'default') {
+            updateSettings({ fallbackInputDevice: { uid: '', type: 'mic', index: 0, name: 'Default Microphone', id: '', isMonitor: false } });
+            return;
+        }
+        const device = availableDevices.find(d => d.uid === fallbackSource.value);
+        if (!device) return;
+        updateSettings({ fallbackInputDevice: toStoredDevice(device) });
+    });
+
+    silenceThreshold.addEventListener('change', () => {
+        updateSettings({ silence: { threshold: parseInt(silenceThreshold.value, 10) } });
+    });
+
+    autoPauseEnabled.addEventListener('change', () => {
+        updateSilenceVisibility();
+        updateSettings({ silence: { autoPause: { enabled: autoPauseEnabled.checked } } });
+    });
+
+    autoPauseAfter.addEventListener('change', () => {
+        updateSettings({ silence: { autoPause: { after: parseInt(autoPauseAfter.value, 10) } } });
+    });
+
+    autoStopEnabled.addEventListener('change', () => {
+        updateSilenceVisibility();
+        updateSettings({ silence: { autoStop: { enabled: autoStopEnabled.checked } } });
+    });
+
+    autoStopAfter.addEventListener('change', () => {
+        updateSettings({ silence: { autoStop: { after: parseInt(autoStopAfter.value, 10) } } });
+    });
+
+    trimTrailingEnabled.addEventListener('change', () => {
+        updateSettings({ silence: { trimTrailing: { enabled: trimTrailingEnabled.checked } } });
+    });
+
+    transcriptionLanguage.addEventListener('change', () => {
+        updateSettings({ transcription: { languageCode: transcriptionLanguage.value } });
+    });
+
+    transcriptionSpeakers.addEventListener('change', () => {
+        const count = parseInt(transcriptionSpeakers.value, 10);
+        updateSettings({ transcription: { speakersExpected: Number.isNaN(count) ? null : count } });
+    });
+
+    // The whole list is saved; update-settings replaces arrays rather than merging them
+    transcriptionVocabulary.addEventListener('change', () => {
+        const vocabulary = transcriptionVocabulary.value.split('\n').map(term => term.trim()).filter(Boolean);
+        updateSettings({ transcription: { vocabulary } });
+    });
+
+    spectrumEnabled.addEventListener('change', () => {
+        updateSettings({ visualization: { spectrum: { enabled: spectrumEnabled.checked } } });
+    });
+
+    ffmpegPath.addEventListener('change', () => {
+        window.electronAPI.updateSettings({ ffmpegPath: ffmpegPath.value.trim() }).then(refreshFFmpegStatus);
+    });
+
+    dualSourceEnabled.addEventListener('change', () => {
+        updateDualSourceVisibility();
+        updateSettings({ dualSource: { enabled: dualSourceEnabled.checked } });
+    });
+
+    dualSourceMode.addEventListener('change', () => {
+        updateSettings({ dualSource: { mode: dualSourceMode.value } });
+    });
+
+    systemSource.addEventListener('change', () => {
+        if (systemSource.value === 'system') {
+            updateSettings({ dualSource: { systemDevice: { uid: '', type: 'system', index: 0, name: 'Default', id: '', isMonitor: false } } });
+            return;
+        }
+        const device = availableDevices.find(d => d.uid === systemSource.value);
+        if (!device) return;
+        updateSettings({ dualSource: { systemDevice: toStoredDevice(device) } });
+    });
+
+    // Bitrate only applies to Opus; WAV and FLAC are lossless
+    function updateBitrateVisibility() {
+        outputBitrateRow.style.display = outputFormat.value === 'opus' ? '' : 'none';
+    }
+
+    // Handle output format changes
+    outputFormat.addEventListener('change', () => {
+        updateBitrateVisibility();
+        updateSettings({ output: { format: outputFormat.value } });
+    });
+
+    outputSampleRate.addEventListener('change', () => {
+        updateSettings({ output: { sampleRate: parseInt(outputSampleRate.value, 10) } });
+    });
+
+    outputBitrate.addEventListener('change', () => {
+        updateSettings({ output: { bitrate: outputBitrate.value } });
     });
 
     // Handle individual setting toggles
@@ -236,15 +507,21 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Load initial settings
     loadSettings();
+    loadTranscriptionOptions();
+    refreshFFmpegStatus();
 
-    // Log FFmpeg device list for debugging
+    // Populate the device list from the capture backends
     window.electronAPI.listAudioInputDevices().then(res => {
         if (res.success) {
-            console.log('FFmpeg raw device output:\n', res.rawOutput);
             console.log('Parsed devices:', res.devices);
-            populateAudioInputDevices(res.devices); // Call the new function here
+            populateAudioInputDevices(res.devices, { selected: res.selected });
         } else {
             console.error('Failed to list audio input devices:', res.error);
         }
     });
+
+    // Devices plugged in or removed while the panel is open
+    window.electronAPI.onAudioDevicesChanged((devices) => {
+        populateAudioInputDevices(devices, { live: true });
+    });
 }); 
\ No newline at end of file
@@ -0,0 +1,98 @@
+// Builds the FFmpeg -af chain from the stored `processing` settings
+// (the same shape the settings panel presets write and test.js passes as `filters`).
+
+const DEFAULTS = {
+    noiseReduction: { nr: 10, nf: -25, nt: 'w' },
+    loudnessNorm: { targetLevel: -16, truePeak: -1.5, range: 11 },
+    vad: { threshold: -30, duration: 0.5 },
+};
+
+const NOISE_TYPES = ['w', 'v', 's', 'c'];
+
+function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+}
+
+function buildNoiseReduction(options = {}) {
+    const nr = clamp(options.nr, 0.01, 97, DEFAULTS.noiseReduction.nr);
+    const nf = clamp(options.nf, -80, -20, DEFAULTS.noiseReduction.nf);
+    const nt = NOISE_TYPES.includes(options.nt) ? options.nt : DEFAULTS.noiseReduction.nt;
+    return `afftdn=nr=${nr}:nf=${nf}:nt=${nt}`;
+}
+
+function buildLoudnessNorm(options = {}) {
+    const target = clamp(options.targetLevel, -70, -5, DEFAULTS.loudnessNorm.targetLevel);
+    const truePeak = clamp(options.truePeak, -9, 0, DEFAULTS.loudnessNorm.truePeak);
+    const range = clamp(options.range, 1, 50, DEFAULTS.loudnessNorm.range);
+    return `loudnorm=I=${target}:TP=${truePeak}:LRA=${range}`;
+}
+
+function buildSilenceDetect(options = {}) {
+    const threshold = clamp(options.threshold, -90, 0, DEFAULTS.vad.threshold);
+    const duration = clamp(options.duration, 0.05, 60, DEFAULTS.vad.duration);
+    return `silencedetect=noise=${threshold}dB:d=${duration}`;
+}
+
+/**
+ * Turn processing settings into an FFmpeg audio filter chain.
+ * Order matters: denoise first so loudnorm doesn't amplify the noise floor,
+ * then detect silence on the normalized signal.
+ * @param {Object} [processing] - { noiseReduction, loudnessNorm, vad }, each with `enabled` plus parameters
+ * @returns {string|null} Comma-separated filter chain for -af, or null when nothing is enabled
+ */
+function buildFilterChain(processing = {}) {
+    const filters = [];
+
+    if (processing.noiseReduction && processing.noiseReduction.enabled) {
+        filters.push(buildNoiseReduction(processing.noiseReduction));
+    }
+    if (processing.loudnessNorm && processing.loudnessNorm.enabled) {
+        filters.push(buildLoudnessNorm(processing.loudnessNorm));
+    }
+    if (processing.vad && processing.vad.enabled) {
+        filters.push(buildSilenceDetect(processing.vad));
+    }
+
+    return filters.length > 0 ? filters.join(',') : null;
+}
+
+/**
+ * Filter graph for dual-source capture: input 0 (mic) and input 1 (system/loopback)
+ * are each folded to mono and resampled onto their own timestamps (the two devices
+ * run on independent clocks), then merged into one stereo stream, mic left and
+ * system right. The processing chain runs on the merged stream.
+ * @param {string|null} processingChain - Result of buildFilterChain()
+ * @returns {string} Graph for -filter_complex; its output pad is [out]
+ */
+function buildDualSourceGraph(processingChain) {
+    const merge = ['amerge=inputs=2', processingChain].filter(Boolean).join(',');
+    return [
+        '[0:a]aresample=async=1,aformat=channel_layouts=mono[me]',
+        '[1:a]aresample=async=1,aformat=channel_layouts=mono[others]',
+        `[me][others]${merge}[out]`,
+    ].join(';');
+}
+
+/**
+ * Parse silencedetect output from FFmpeg stderr into voice activity changes
+ * @param {string} text - A stderr chunk
+ * @returns {Array<{speaking: boolean, time: number}>}
+ */
+function parseSilenceEvents(text) {
+    const events = [];
+    const pattern = /silence_(start|end):\s*(-?[\d.]+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        events.push({ speaking: match[1] === 'end', time: parseFloat(match[2]) });
+    }
+    return events;
+}
+
+module.exports = {
+    buildFilterChain,
+    buildDualSourceGraph,
+    parseSilenceEvents,
+    DEFAULTS,
+};
@@ -0,0 +1,148 @@
+// Checks a finished recording before it is read for upload, and repairs what a stop that
+// went wrong (a killed encoder, a crash) can leave behind, so the transcription service
+// doesn't reject the file.
+const fs = require('fs');
+const { repairWavHeader } = require('./wavWriter');
+
+const OGG_PAGE_HEADER_SIZE = 27;
+const OGG_EOS_FLAG = 0x04;
+
+// CRC-32 as used by Ogg: polynomial 0x04c11db7, not reflected, zero init, no final xor
+const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function oggCrc(page) {
+    let crc = 0;
+    for (let i = 0; i < page.length; i++) {
+        crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+}
+
+// CRC of a page with its checksum field zeroed, as the checksum is defined
+function pageCrc(page) {
+    const copy = Buffer.from(page);
+    copy.writeUInt32LE(0, 22);
+    return oggCrc(copy);
+}
+
+/**
+ * Walk the pages of an Ogg file (Opus), cut off a trailing partial or corrupt page and
+ * make sure the last page carries the end-of-stream flag
+ * @param {string} filePath
+ * @returns {Promise<{repaired: boolean, pages: number, problems: string[]}>}
+ */
+async function repairOggFile(filePath) {
+    const data = await fs.promises.readFile(filePath);
+    const problems = [];
+    let offset = 0;
+    let pages = 0;
+    let lastPage = null;
+
+    while (offset + OGG_PAGE_HEADER_SIZE <= data.length) {
+        if (data.toString('ascii', offset, offset + 4) !== 'OggS' || data[offset + 4] !== 0) {
+            problems.push(`no page header at byte ${offset}`);
+            break;
+        }
+        const segments = data[offset + 26];
+        const headerSize = OGG_PAGE_HEADER_SIZE + segments;
+        if (offset + headerSize > data.length) {
+            problems.push(`truncated page header at byte ${offset}`);
+            break;
+        }
+        let bodySize = 0;
+        for (let i = 0; i < segments; i++) bodySize += data[offset + OGG_PAGE_HEADER_SIZE + i];
+        const end = offset + headerSize + bodySize;
+        if (end > data.length) {
+            problems.push(`truncated page at byte ${offset}`);
+            break;
+        }
+        const page = data.subarray(offset, end);
+        if (pageCrc(page) !== page.readUInt32LE(22)) {
+            problems.push(`checksum mismatch in page at byte ${offset}`);
+            break;
+        }
+        lastPage = { offset, end };
+        pages++;
+        offset = end;
+    }
+
+    if (!lastPage) {
+        throw new Error(`${filePath} has no readable Ogg pages${problems.length ? ` (${problems[0]})` : ''}`);
+    }
+    if (lastPage.end < data.length && problems.length === 0) {
+        problems.push(`${data.length - lastPage.end} stray bytes after the last page`);
+    }
+
+    const last = Buffer.from(data.subarray(lastPage.offset, lastPage.end));
+    const missingEos = !(last[5] & OGG_EOS_FLAG);
+    if (missingEos) {
+        problems.push('last page lacks the end-of-stream flag');
+        last[5] |= OGG_EOS_FLAG;
+        last.writeUInt32LE(pageCrc(last), 22);
+    }
+    if (problems.length === 0) return { repaired: false, pages, problems };
+
+    const handle = await fs.promises.open(filePath, 'r+');
+    try {
+        if (missingEos) await handle.write(last, 0, last.length, lastPage.offset);
+        if (lastPage.end < data.length) await handle.truncate(lastPage.end);
+    } finally {
+        await handle.close();
+    }
+    return { repaired: true, pages, problems };
+}
+
+/**
+ * Check the recording that is about to be uploaded and repair it in place where possible
+ * @param {string} filePath
+ * @param {string} format - 'wav', 'opus' or 'flac' (see outputFormats.js)
+ * @returns {Promise<{repaired: boolean, problems: string[]}>}
+ * @throws When the file holds no usable audio
+ */
+async function verifyAudioFile(filePath, format) {
+    const { size } = await fs.promises.stat(filePath);
+    if (size === 0) throw new Error(`${filePath} is empty`);
+
+    let result;
+    if (format === 'wav') {
+        const { repaired, dataLength } = await repairWavHeader(filePath);
+        if (dataLength === 0) throw new Error(`${filePath} has a WAV header but no audio`);
+        result = { repaired, problems: repaired ? ['RIFF/data sizes did not match the file'] : [] };
+    } else if (format === 'opus') {
+        const { repaired, problems } = await repairOggFile(filePath);
+        result = { repaired, problems };
+    } else if (format === 'flac') {
+        // Decoders skip a truncated last frame; only the stream marker is essential
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const marker = Buffer.alloc(4);
+            await handle.read(marker, 0, 4, 0);
+            if (marker.toString('ascii') !== 'fLaC') throw new Error(`${filePath} is not a FLAC file`);
+        } finally {
+            await handle.close();
+        }
+        result = { repaired: false, problems: [] };
+    } else {
+        result = { repaired: false, problems: [] };
+    }
+
+    if (result.repaired) {
+        console.warn(`[audioIntegrity] Repaired ${filePath}: ${result.problems.join('; ')}`);
+    }
+    return result;
+}
+
+module.exports = {
+    verifyAudioFile,
+    repairOggFile,
+};
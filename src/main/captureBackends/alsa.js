@@ -0,0 +1,74 @@
+// ALSA capture backend (Linux)
+const fs = require('fs');
+
+/**
+ * Parse /proc/asound/pcm into hw:<card>,<device> capture devices
+ * @param {string} content - Contents of /proc/asound/pcm
+ * @returns {Array<{type: string, id: string, name: string, isMonitor: boolean}>}
+ */
+function parsePcmList(content) {
+    const devices = [];
+
+    for (const line of content.split('\n')) {
+        // e.g. "00-00: ALC3246 Analog : ALC3246 Analog : playback 1 : capture 1"
+        const match = line.match(/^(\d+)-(\d+):\s*([^:]+):/);
+        if (!match || !line.includes('capture')) continue;
+
+        const card = parseInt(match[1], 10);
+        const device = parseInt(match[2], 10);
+        const id = `hw:${card},${device}`;
+        devices.push({
+            type: 'alsa',
+            id,
+            name: `${match[3].trim()} (${id})`,
+            isMonitor: false
+        });
+    }
+
+    return devices;
+}
+
+async function listDevices() {
+    try {
+        const content = await fs.promises.readFile('/proc/asound/pcm', 'utf8');
+        return parsePcmList(content);
+    } catch (error) {
+        console.warn('ALSA device list unavailable:', error.message);
+        return [];
+    }
+}
+
+function listDevicesSync() {
+    try {
+        return parsePcmList(fs.readFileSync('/proc/asound/pcm', 'utf8'));
+    } catch (error) {
+        console.warn('ALSA device list unavailable:', error.message);
+        return [];
+    }
+}
+
+function getInputArgs(device) {
+    return ['-f', 'alsa', '-i', device.id || 'default'];
+}
+
+// Card numbers follow probe order, so identify the device by its card name without the hw id
+function stableKey(device) {
+    return device.name.replace(/\s*\(hw:\d+,\d+\)$/, '');
+}
+
+module.exports = {
+    name: 'alsa',
+    label: 'ALSA',
+    platforms: ['linux'],
+    capabilities: {
+        deviceListing: true,
+        syncListing: true,
+        systemAudio: false,
+        testSource: false,
+    },
+    listDevices,
+    listDevicesSync,
+    getInputArgs,
+    stableKey,
+    parsePcmList,
+};
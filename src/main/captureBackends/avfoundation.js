@@ -0,0 +1,97 @@
+// AVFoundation capture backend (macOS)
+const { spawnFFmpeg, spawnFFmpegSync } = require('../ffmpegLocator');
+
+const LIST_ARGS = ['-f', 'avfoundation', '-list_devices', 'true', '-i', ''];
+
+/**
+ * Parse the audio section of `ffmpeg -f avfoundation -list_devices true` output.
+ * Display/screen capture entries are dropped since they are not audio inputs.
+ * @param {string} output - Combined stdout/stderr of the list command
+ * @returns {Array<{type: string, index: number, name: string}>}
+ */
+function parseDeviceList(output) {
+    const devices = [];
+    let isAudioSection = false;
+
+    for (const line of output.split('\n')) {
+        if (line.includes('AVFoundation audio devices')) {
+            isAudioSection = true;
+            continue;
+        }
+
+        if (isAudioSection && line.includes('AVFoundation video devices')) {
+            break;
+        }
+
+        if (isAudioSection && line.includes(']')) {
+            const match = line.match(/\[(\d+)\]\s+([^\[]+?)(?:\s*\[.*\])?$/);
+            if (match) {
+                const index = parseInt(match[1], 10);
+                const name = match[2].trim();
+
+                if (name &&
+                    !name.toLowerCase().includes('display') &&
+                    !name.toLowerCase().includes('screen')) {
+                    devices.push({ type: 'avfoundation', index, name });
+                }
+            }
+        }
+    }
+
+    return devices;
+}
+
+function listDevices() {
+    return new Promise((resolve, reject) => {
+        const process = spawnFFmpeg(LIST_ARGS);
+        let output = '';
+
+        process.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+
+        process.stderr.on('data', (data) => {
+            output += data.toString();
+        });
+
+        process.on('error', (error) => {
+            reject(new Error(`Failed to list audio devices: ${error.message}`));
+        });
+
+        process.on('close', () => {
+            try {
+                resolve(parseDeviceList(output));
+            } catch (error) {
+                console.error('Error parsing FFmpeg output:', error);
+                reject(error);
+            }
+        });
+    });
+}
+
+function listDevicesSync() {
+    const result = spawnFFmpegSync(LIST_ARGS);
+    if (result.error) throw result.error;
+    return parseDeviceList(result.stderr.toString());
+}
+
+function getInputArgs(device) {
+    return ['-f', 'avfoundation', '-i', device.type === 'system' ? ':0' : `:${device.index}`];
+}
+
+module.exports = {
+    name: 'avfoundation',
+    label: 'AVFoundation',
+    platforms: ['darwin'],
+    capabilities: {
+        deviceListing: true,
+        syncListing: true,
+        // Needs a loopback device such as BlackHole to capture system output
+        systemAudio: false,
+        testSource: false,
+    },
+    listDevices,
+    listDevicesSync,
+    getInputArgs,
+    parseDeviceList,
+};
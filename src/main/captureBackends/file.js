@@ -0,0 +1,40 @@
+// File / synthetic capture backend for testing without audio hardware.
+// A device id pointing at a media file replays it in real time (looped);
+// anything else produces a generated sine tone through lavfi.
+const TEST_TONE = { type: 'file', id: '', name: 'Test tone (synthetic)' };
+
+function listDevices() {
+    return Promise.resolve([{ ...TEST_TONE }]);
+}
+
+function listDevicesSync() {
+    return [{ ...TEST_TONE }];
+}
+
+function getInputArgs(device) {
+    if (device.id) {
+        // -re paces the read at the native rate so it behaves like a live device
+        return ['-re', '-stream_loop', '-1', '-i', device.id];
+    }
+    return ['-re', '-f', 'lavfi', '-i', 'sine=frequency=440:sample_rate=48000'];
+}
+
+function stableKey(device) {
+    return device.id || device.name;
+}
+
+module.exports = {
+    name: 'file',
+    label: 'File / synthetic source',
+    platforms: ['darwin', 'linux', 'win32'],
+    capabilities: {
+        deviceListing: true,
+        syncListing: true,
+        systemAudio: false,
+        testSource: true,
+    },
+    listDevices,
+    listDevicesSync,
+    getInputArgs,
+    stableKey,
+};
@@ -0,0 +1,125 @@
+// Registry of audio capture backends used by AudioRecorder.
+// Each backend supplies device enumeration, FFmpeg input args and capability flags:
+//   { name, label, platforms, capabilities, listDevices(), listDevicesSync?(), getInputArgs(device), stableKey?(device) }
+// stableKey returns the part of a listed device that survives reboots and replugs
+// (see deviceRegistry.js); without it the device name is used.
+const avfoundation = require('./avfoundation');
+const pulse = require('./pulse');
+const alsa = require('./alsa');
+const file = require('./file');
+
+const backends = new Map();
+
+// Backend used for the legacy 'system' / 'mic' device types on each platform
+const PLATFORM_DEFAULTS = {
+    darwin: 'avfoundation',
+    linux: 'pulse',
+};
+
+function registerBackend(backend) {
+    if (!backend || !backend.name || typeof backend.getInputArgs !== 'function') {
+        throw new Error('Capture backend must have a name and a getInputArgs function');
+    }
+    backends.set(backend.name, backend);
+}
+
+[avfoundation, pulse, alsa, file].forEach(registerBackend);
+
+function getBackend(name) {
+    return backends.get(name) || null;
+}
+
+/**
+ * Backends that can run on the given platform
+ * @param {string} [platform=process.platform]
+ * @returns {Array<Object>}
+ */
+function getAvailableBackends(platform = process.platform) {
+    return Array.from(backends.values()).filter(backend => backend.platforms.includes(platform));
+}
+
+/**
+ * Pick the backend for a stored inputDevice setting. Concrete types ('avfoundation',
+ * 'pulse', 'alsa', 'file') name their backend directly; 'system' and 'mic' use the
+ * platform default.
+ * @param {{type: string}} inputDevice
+ * @param {string} [platform=process.platform]
+ * @returns {Object} The backend
+ */
+function resolveBackend(inputDevice, platform = process.platform) {
+    const type = inputDevice && inputDevice.type;
+    const name = backends.has(type) ? type : PLATFORM_DEFAULTS[platform];
+    const backend = name && backends.get(name);
+
+    if (!backend || !backend.platforms.includes(platform)) {
+        throw new Error(`No audio capture backend available for ${type || 'default'} input on ${platform}`);
+    }
+    return backend;
+}
+
+// Give devices without a native index (PulseAudio, ALSA, file) one after the highest native index
+function assignIndexes(devices) {
+    let nextIndex = devices.reduce((max, d) => (typeof d.index === 'number' ? Math.max(max, d.index + 1) : max), 0);
+    return devices.map(device => (typeof device.index === 'number' ? device : { ...device, index: nextIndex++ }));
+}
+
+function listableBackends(platform, includeTestSources) {
+    return getAvailableBackends(platform).filter(backend =>
+        backend.capabilities.deviceListing && (includeTestSources || !backend.capabilities.testSource));
+}
+
+/**
+ * List input devices from every backend available on this platform. A backend that fails
+ * is logged and left out, unless strict is set (the device watcher, which would otherwise
+ * take the failure for its devices being unplugged)
+ * @param {{includeTestSources?: boolean, platform?: string, strict?: boolean}} [options]
+ * @returns {Promise<Array<{index: number, name: string, type: string, id?: string, isMonitor?: boolean}>>}
+ */
+async function listDevices({ includeTestSources = false, platform = process.platform, strict = false } = {}) {
+    const available = listableBackends(platform, includeTestSources);
+    if (available.length === 0) {
+        throw new Error(`Device listing is not supported on ${platform}`);
+    }
+
+    const results = await Promise.allSettled(available.map(backend => backend.listDevices()));
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length > 0 && (strict || failed.length === results.length)) {
+        throw failed[0].reason;
+    }
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            console.warn(`[captureBackends] Listing ${available[i].name} devices failed:`, result.reason.message);
+        }
+    });
+    return assignIndexes(results.filter(result => result.status === 'fulfilled').flatMap(result => result.value));
+}
+
+/**
+ * Whether every listing backend on the platform can enumerate synchronously
+ * @param {{includeTestSources?: boolean, platform?: string}} [options]
+ * @returns {boolean}
+ */
+function canListSync({ includeTestSources = false, platform = process.platform } = {}) {
+    return listableBackends(platform, includeTestSources).every(backend => backend.capabilities.syncListing);
+}
+
+/**
+ * Synchronous variant, limited to backends with the syncListing capability
+ * @param {{includeTestSources?: boolean, platform?: string}} [options]
+ * @returns {Array<{index: number, name: string, type: string, id?: string, isMonitor?: boolean}>}
+ */
+function listDevicesSync({ includeTestSources = false, platform = process.platform } = {}) {
+    const available = listableBackends(platform, includeTestSources)
+        .filter(backend => backend.capabilities.syncListing);
+    return assignIndexes(available.flatMap(backend => backend.listDevicesSync()));
+}
+
+module.exports = {
+    registerBackend,
+    getBackend,
+    getAvailableBackends,
+    resolveBackend,
+    listDevices,
+    listDevicesSync,
+    canListSync,
+};
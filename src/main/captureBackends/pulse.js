@@ -0,0 +1,108 @@
+// PulseAudio / PipeWire capture backend (Linux)
+const { spawn } = require('child_process');
+
+/**
+ * Parse `pactl list sources` output. Monitor sources (system audio loopback)
+ * are included and flagged with isMonitor.
+ * @param {string} output - stdout of pactl
+ * @returns {Array<{type: string, id: string, name: string, isMonitor: boolean}>}
+ */
+function parseSourceList(output) {
+    const sources = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+        if (/^Source #\d+/.test(line)) {
+            current = {};
+            sources.push(current);
+            continue;
+        }
+        if (!current) continue;
+
+        const nameMatch = line.match(/^\s+Name:\s+(.+)$/);
+        if (nameMatch) {
+            current.id = nameMatch[1].trim();
+            continue;
+        }
+        const descriptionMatch = line.match(/^\s+Description:\s+(.+)$/);
+        if (descriptionMatch) {
+            current.description = descriptionMatch[1].trim();
+        }
+    }
+
+    return sources
+        .filter(source => source.id)
+        .map(source => {
+            const isMonitor = source.id.endsWith('.monitor');
+            const label = source.description || source.id;
+            return {
+                type: 'pulse',
+                id: source.id,
+                name: isMonitor && !label.startsWith('Monitor of') ? `Monitor of ${label}` : label,
+                isMonitor
+            };
+        });
+}
+
+/**
+ * List PulseAudio sources. A missing pactl means no sources; pactl failing (server not
+ * reachable) rejects, so a transient failure isn't taken for every device being unplugged.
+ */
+function listDevices() {
+    return new Promise((resolve, reject) => {
+        // The parser matches the English field names, whatever the user's locale
+        const pactl = spawn('pactl', ['list', 'sources'], { env: { ...process.env, LC_ALL: 'C' } });
+        let output = '';
+        let errorOutput = '';
+
+        pactl.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+
+        pactl.stderr.on('data', (data) => {
+            errorOutput += data.toString();
+        });
+
+        pactl.on('error', (error) => {
+            console.warn('pactl not available, skipping PulseAudio sources:', error.message);
+            resolve([]);
+        });
+
+        pactl.on('close', (code) => {
+            if (code !== 0) {
+                reject(new Error(`pactl exited with code ${code}${errorOutput.trim() ? `: ${errorOutput.trim()}` : ''}`));
+                return;
+            }
+            resolve(parseSourceList(output));
+        });
+    });
+}
+
+function getInputArgs(device) {
+    if (device.type === 'pulse') {
+        return ['-f', 'pulse', '-i', device.id || 'default'];
+    }
+    // Legacy 'system'/'mic' settings map onto the PulseAudio defaults
+    return ['-f', 'pulse', '-i', device.type === 'system' ? '@DEFAULT_MONITOR@' : 'default'];
+}
+
+// Source names (alsa_input.usb-…) are stable across reboots and replugs
+function stableKey(device) {
+    return device.id || device.name;
+}
+
+module.exports = {
+    name: 'pulse',
+    label: 'PulseAudio / PipeWire',
+    platforms: ['linux'],
+    capabilities: {
+        deviceListing: true,
+        syncListing: false,
+        systemAudio: true,
+        testSource: false,
+    },
+    listDevices,
+    getInputArgs,
+    stableKey,
+    parseSourceList,
+};
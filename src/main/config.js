@@ -10,6 +10,7 @@ const MISHI_WEB_APP_URL = process.env.MISHI_WEB_APP_URL;
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
 const TEMP_RECORDING_FILENAME = process.env.TEMP_RECORDING_FILENAME || 'temp_recording.opus';
+const RECORDINGS_BUCKET = process.env.RECORDINGS_BUCKET || 'recordings';
 
 const OAUTH_CALLBACK_WINDOW_OPTIONS = {
     width: 500,
@@ -47,6 +48,7 @@ module.exports = {
     GOOGLE_CLIENT_ID,
     GOOGLE_CLIENT_SECRET,
     TEMP_RECORDING_FILENAME,
+    RECORDINGS_BUCKET,
     OAUTH_CALLBACK_WINDOW_OPTIONS,
     validateConfig
 };
@@ -0,0 +1,189 @@
+// Single source of input devices for the recorder, settings panel, tray and device watcher.
+// Every listed device gets a stable `uid` (backend + stable key, e.g. 'pulse:alsa_input.usb-…'
+// or 'avfoundation:MacBook Pro Microphone'), which is what settings store. Indexes are only
+// used at capture time, looked up from the current listing.
+const captureBackends = require('./captureBackends');
+
+const CACHE_TTL = 5000; // 5 seconds TTL for cache
+
+let cachedDevices = null;
+let lastUpdate = 0;
+
+function baseUid(device) {
+    const backend = captureBackends.getBackend(device.type);
+    const key = backend && backend.stableKey ? backend.stableKey(device) : device.name;
+    return `${device.type}:${key}`;
+}
+
+/**
+ * Stable identity of a device or stored setting; settings saved before uids existed
+ * get the one their device would have now
+ * @param {Object} device
+ * @returns {string}
+ */
+function getDeviceUid(device) {
+    return device.uid || baseUid(device);
+}
+
+function isSameDevice(a, b) {
+    return !!(a && b) && getDeviceUid(a) === getDeviceUid(b);
+}
+
+// Identical devices (two of the same USB mic) are told apart by listing order: 'name', 'name#2', ...
+function identifyDevices(devices) {
+    const seen = new Map();
+    return devices.map(device => {
+        const uid = baseUid(device);
+        const count = (seen.get(uid) || 0) + 1;
+        seen.set(uid, count);
+        return { ...device, uid: count > 1 ? `${uid}#${count}` : uid };
+    });
+}
+
+function isTestSource(device) {
+    const backend = captureBackends.getBackend(device.type);
+    return !!(backend && backend.capabilities.testSource);
+}
+
+function filterDevices(devices, includeTestSources) {
+    return includeTestSources ? devices : devices.filter(device => !isTestSource(device));
+}
+
+/**
+ * Replace the cached listing (used by the device watcher after each poll)
+ * @param {Array<Object>} devices - Raw listing from captureBackends
+ * @returns {Array<Object>} The devices with uids
+ */
+function updateDevices(devices) {
+    cachedDevices = identifyDevices(devices);
+    lastUpdate = Date.now();
+    return cachedDevices;
+}
+
+/**
+ * List input devices from the capture backends available on this platform
+ * @param {{includeTestSources?: boolean, refresh?: boolean, strict?: boolean}} [options] - refresh
+ *   skips the cache; strict rejects when any backend fails instead of leaving its devices out
+ * @returns {Promise<Array<{uid: string, index: number, name: string, type: string, id?: string, isMonitor?: boolean}>>}
+ */
+async function listDevices({ includeTestSources = false, refresh = false, strict = false } = {}) {
+    if (!refresh && cachedDevices && (Date.now() - lastUpdate) < CACHE_TTL) {
+        return filterDevices(cachedDevices, includeTestSources);
+    }
+
+    console.log('Fetching fresh device list...');
+    const devices = updateDevices(await captureBackends.listDevices({ includeTestSources: true, strict }));
+    return filterDevices(devices, includeTestSources);
+}
+
+/**
+ * Synchronous variant; backends that can only list asynchronously (pactl) are
+ * served from the last async listing
+ * @param {{includeTestSources?: boolean}} [options]
+ * @returns {Array<Object>}
+ */
+function listDevicesSync({ includeTestSources = false } = {}) {
+    try {
+        const fresh = cachedDevices && (Date.now() - lastUpdate) < CACHE_TTL;
+        if (!fresh && captureBackends.canListSync({ includeTestSources: true })) {
+            updateDevices(captureBackends.listDevicesSync({ includeTestSources: true }));
+        }
+    } catch (error) {
+        console.error('Error listing microphones:', error);
+    }
+    return filterDevices(cachedDevices || [], includeTestSources);
+}
+
+/**
+ * Last listing without refreshing, for callers that cannot wait
+ * @param {{includeTestSources?: boolean}} [options]
+ * @returns {Array<Object>}
+ */
+function getCachedDevices({ includeTestSources = false } = {}) {
+    return filterDevices(cachedDevices || [], includeTestSources);
+}
+
+function normalizeName(name) {
+    return (name || '')
+        .toLowerCase()
+        .replace(/\([^)]*\)/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Find the listed device a stored setting refers to: by uid, then by the uid its
+ * fields would produce today, then by exact name, then by a loose name match (so "USB Audio Device (2)" still finds
+ * "USB Audio Device" after a replug). Legacy 'system'/'mic' settings and settings for
+ * backends that can't list devices resolve to null; the backend's default applies.
+ * @param {Object} stored - inputDevice-shaped setting
+ * @param {Array<Object>} [devices] - Listing to search, the cached one by default
+ * @returns {Object|null} The listed device, with its current index
+ */
+function resolveDevice(stored, devices = getCachedDevices({ includeTestSources: true })) {
+    const backend = stored && captureBackends.getBackend(stored.type);
+    if (!backend || !backend.capabilities.deviceListing) return null;
+
+    const sameType = devices.filter(device => device.type === stored.type);
+    // Backend ids alone aren't trusted: ALSA's hw:<card>,<device> follows probe order
+    const exact = (stored.uid && devices.find(device => device.uid === stored.uid))
+        || sameType.find(device => device.uid === baseUid(stored))
+        || (stored.name && sameType.find(device => device.name === stored.name));
+    if (exact) return exact;
+
+    const wanted = normalizeName(stored.name);
+    if (!wanted) return null;
+    // Prefer the same backend, but a device may move between them (e.g. ALSA to PulseAudio).
+    // Never swap a microphone for a monitor of the same card or the other way round.
+    const isMonitor = typeof stored.isMonitor === 'boolean' ? stored.isMonitor : /^monitor of /i.test(stored.name);
+    const candidates = [...sameType, ...devices.filter(device => device.type !== stored.type)]
+        .filter(device => !!device.isMonitor === isMonitor);
+    return candidates.find(device => normalizeName(device.name) === wanted)
+        || candidates.find(device => {
+            const name = normalizeName(device.name);
+            return name.length >= 3 && wanted.length >= 3 && (name.includes(wanted) || wanted.includes(name));
+        })
+        || null;
+}
+
+/**
+ * The microphone a legacy { type: 'mic', index } setting (the first-run default) means:
+ * the listed device at that index, or the first microphone when the index is gone or
+ * names a monitor source (PulseAudio often lists those first)
+ * @param {Object} stored - inputDevice-shaped setting
+ * @param {Array<Object>} [devices] - Listing to search, the cached one by default
+ * @returns {Object|null} The listed device
+ */
+function resolveLegacyMic(stored, devices = getCachedDevices({ includeTestSources: true })) {
+    const microphones = devices.filter(device => !device.isMonitor && !isTestSource(device));
+    return microphones.find(device => device.index === stored.index) || microphones[0] || null;
+}
+
+/**
+ * Shape a listed device for the store
+ * @param {Object} device
+ * @returns {{uid: string, type: string, index: number, name: string, id: string, isMonitor: boolean}}
+ */
+function toStoredDevice(device) {
+    return {
+        uid: getDeviceUid(device),
+        type: device.type,
+        index: device.index,
+        name: device.name,
+        id: device.id || '',
+        isMonitor: !!device.isMonitor,
+    };
+}
+
+module.exports = {
+    CACHE_TTL,
+    listDevices,
+    listDevicesSync,
+    getCachedDevices,
+    updateDevices,
+    resolveDevice,
+    resolveLegacyMic,
+    toStoredDevice,
+    getDeviceUid,
+    isSameDevice,
+};
@@ -0,0 +1,107 @@
+// Polls the capture backends for input devices and reports hot-plug changes.
+const { EventEmitter } = require('events');
+const captureBackends = require('./captureBackends');
+const deviceRegistry = require('./deviceRegistry');
+
+const DEFAULT_POLL_INTERVAL = 3000; // ms
+// pactl is a process spawn per poll; between recordings, with no device list open, a hot-plug can wait
+const DEFAULT_IDLE_POLL_INTERVAL = 60000; // ms
+
+/**
+ * Emits 'devicesChanged' ({ devices, added, removed }) whenever the set of input
+ * devices differs from the previous poll. The first poll only sets the baseline.
+ * Polls every `interval` while active (see setActive()), every `idleInterval` otherwise.
+ */
+class DeviceWatcher extends EventEmitter {
+    constructor({ interval = DEFAULT_POLL_INTERVAL, idleInterval = DEFAULT_IDLE_POLL_INTERVAL } = {}) {
+        super();
+        this.interval = interval;
+        this.idleInterval = idleInterval;
+        this.active = false;
+        this.timer = null;
+        this.polling = false;
+        this.devices = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.poll();
+        this.schedule();
+    }
+
+    schedule() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = setInterval(() => this.poll(), this.active ? this.interval : this.idleInterval);
+    }
+
+    /**
+     * Poll quickly (while recording, or while a device list is on screen) or at the idle pace.
+     * Becoming active polls at once, so the listing is current from the start.
+     */
+    setActive(active) {
+        if (this.active === active) return;
+        this.active = active;
+        if (!this.timer) return;
+        if (active) this.poll();
+        this.schedule();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            // Refreshing through the registry keeps every other consumer's listing current too.
+            // Strict: a backend failing must not look like its devices were unplugged
+            const devices = await deviceRegistry.listDevices({ refresh: true, strict: true });
+
+            const previous = this.devices;
+            this.devices = devices;
+            if (!previous) return;
+
+            // Compare by uid: indexes shift when devices come and go
+            const previousUids = new Set(previous.map(device => device.uid));
+            const currentUids = new Set(devices.map(device => device.uid));
+            const added = devices.filter(device => !previousUids.has(device.uid));
+            const removed = previous.filter(device => !currentUids.has(device.uid));
+
+            if (added.length > 0 || removed.length > 0) {
+                console.log('[deviceWatcher] Devices changed:', {
+                    added: added.map(d => d.name),
+                    removed: removed.map(d => d.name)
+                });
+                this.emit('devicesChanged', { devices, added, removed });
+            }
+        } catch (error) {
+            console.error('[deviceWatcher] Failed to list devices:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Whether a stored device setting is in the latest listing. Settings that don't name
+     * a listed device (legacy 'system'/'mic', the file test source) always count as present.
+     * @param {Object} device - inputDevice-shaped setting
+     * @returns {boolean}
+     */
+    isPresent(device) {
+        const backend = device && captureBackends.getBackend(device.type);
+        if (!this.devices || !backend || !backend.capabilities.deviceListing || backend.capabilities.testSource) {
+            return true;
+        }
+        return deviceRegistry.resolveDevice(device, this.devices) !== null;
+    }
+}
+
+module.exports = {
+    DeviceWatcher,
+    DEFAULT_POLL_INTERVAL,
+    DEFAULT_IDLE_POLL_INTERVAL,
+};
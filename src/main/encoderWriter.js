@@ -0,0 +1,67 @@
+const { spawnFFmpeg, stopFFmpeg } = require('./ffmpegLocator');
+const { EventEmitter } = require('events');
+
+/**
+ * Pipes raw PCM into an FFmpeg encoder process writing a compressed file
+ * (Opus/OGG, FLAC). Same write/close/'error' interface as WavWriter.
+ */
+class EncoderWriter extends EventEmitter {
+    constructor(filePath, { sampleRate = 16000, channels = 1 } = {}, codecArgs = []) {
+        super();
+        this.filePath = filePath;
+        this.closed = false;
+
+        const args = [
+            '-y',
+            '-f', 's16le',
+            '-ar', String(sampleRate),
+            '-ac', String(channels),
+            '-i', 'pipe:0',
+            ...codecArgs,
+            filePath
+        ];
+        console.log('Starting FFmpeg encoder with args:', args.join(' '));
+
+        this.process = spawnFFmpeg(args);
+        this.stream = this.process.stdin;
+        this.stream.on('error', (error) => this.emit('error', error));
+
+        this.exited = new Promise((resolve, reject) => {
+            this.process.on('error', reject);
+            this.process.on('close', (code) => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`FFmpeg encoder exited with code ${code}`));
+                }
+            });
+        });
+        // Surface failures through close() instead of an unhandled rejection
+        this.exited.catch(() => {});
+
+        this.process.stderr.on('data', (data) => {
+            console.log('FFmpeg encoder stderr:', data.toString());
+        });
+    }
+
+    write(chunk) {
+        if (this.closed) return;
+        this.stream.write(chunk);
+    }
+
+    /**
+     * End the PCM input and wait for the encoder to finalize the file. An encoder that
+     * doesn't exit after end of input is terminated, then killed (see stopFFmpeg()).
+     * @returns {Promise<string>} Resolves with the file path
+     */
+    async close() {
+        if (!this.closed) {
+            this.closed = true;
+            await stopFFmpeg(this.process, { quit: () => this.stream.end() });
+        }
+        await this.exited;
+        return this.filePath;
+    }
+}
+
+module.exports = { EncoderWriter };
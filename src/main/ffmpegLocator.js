@@ -0,0 +1,318 @@
+// Finds the FFmpeg binary every recorder, encoder and device lister spawns.
+// Packaged apps started from the Dock or a desktop launcher don't inherit the shell's
+// PATH, so a bare `ffmpeg` isn't enough. Lookup order:
+//   1. the `ffmpegPath` setting
+//   2. a binary bundled in the app resources (resources/ffmpeg/<platform>-<arch>/ffmpeg)
+//   3. the directories on PATH
+//   4. common install locations (Homebrew, /usr/local, /usr/bin)
+const fs = require('fs');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const BINARY_NAME = process.platform === 'win32' ? 'ffmpeg.exe' : 'ffmpeg';
+const COMMON_DIRECTORIES = ['/opt/homebrew/bin', '/usr/local/bin', '/usr/bin', '/snap/bin'];
+
+let overridePath = null;
+let located = null;
+let capabilities = null;
+
+function isExecutable(filePath) {
+    try {
+        fs.accessSync(filePath, fs.constants.X_OK);
+        return fs.statSync(filePath).isFile();
+    } catch {
+        return false;
+    }
+}
+
+function bundledCandidates() {
+    const platformDir = `${process.platform}-${process.arch}`;
+    const candidates = [];
+    // Packaged app: copied next to app.asar via extraResources
+    if (process.resourcesPath) {
+        candidates.push(path.join(process.resourcesPath, 'ffmpeg', platformDir, BINARY_NAME));
+        candidates.push(path.join(process.resourcesPath, 'ffmpeg', BINARY_NAME));
+    }
+    // Development checkout
+    candidates.push(path.join(__dirname, '../../resources/ffmpeg', platformDir, BINARY_NAME));
+    return candidates;
+}
+
+function pathCandidates() {
+    return (process.env.PATH || '')
+        .split(path.delimiter)
+        .filter(Boolean)
+        .map(directory => path.join(directory, BINARY_NAME));
+}
+
+/**
+ * Use a specific binary ahead of every other location (the `ffmpegPath` setting)
+ * @param {string|null} filePath - Empty to go back to automatic lookup
+ */
+function setOverridePath(filePath) {
+    const next = filePath ? String(filePath).trim() || null : null;
+    if (next === overridePath) return;
+    overridePath = next;
+    located = null;
+    capabilities = null;
+}
+
+/**
+ * Resolve the binary to run. The result is cached until the override changes.
+ * @returns {{path: string, source: 'settings'|'bundled'|'path'|'common'|'fallback', overrideError?: string}}
+ */
+function locateFFmpeg() {
+    if (located) return located;
+
+    let overrideError;
+    if (overridePath) {
+        if (isExecutable(overridePath)) {
+            located = { path: overridePath, source: 'settings' };
+            return located;
+        }
+        overrideError = `${overridePath} is not an executable file`;
+        console.warn(`[ffmpegLocator] Ignoring ffmpegPath setting: ${overrideError}`);
+    }
+
+    const sources = [
+        ['bundled', bundledCandidates()],
+        ['path', pathCandidates()],
+        ['common', COMMON_DIRECTORIES.map(directory => path.join(directory, BINARY_NAME))],
+    ];
+    for (const [source, candidates] of sources) {
+        const found = candidates.find(isExecutable);
+        if (found) {
+            located = { path: found, source, overrideError };
+            console.log(`[ffmpegLocator] Using ${found} (${source})`);
+            return located;
+        }
+    }
+
+    // Let spawn report ENOENT the usual way
+    located = { path: BINARY_NAME, source: 'fallback', overrideError };
+    return located;
+}
+
+function getFFmpegPath() {
+    return locateFFmpeg().path;
+}
+
+/**
+ * child_process.spawn with the located binary
+ * @param {string[]} args
+ * @param {Object} [options]
+ * @returns {import('child_process').ChildProcess}
+ */
+function spawnFFmpeg(args, options) {
+    return spawn(getFFmpegPath(), args, options);
+}
+
+function spawnFFmpegSync(args, options) {
+    return spawnSync(getFFmpegPath(), args, options);
+}
+
+const STOP_TIMEOUT = 3000;
+
+/**
+ * Stop an FFmpeg process so it can finish its output: ask it to quit ('q' on stdin, or
+ * `quit` for processes whose stdin carries data), then SIGTERM, then SIGKILL, giving it
+ * `timeout` ms after each step. Resolves once the process has closed (stdout drained).
+ * @param {import('child_process').ChildProcess} child
+ * @param {{quit?: function(): void, timeout?: number}} [options]
+ * @returns {Promise<{code: number|null, signal: string|null, step: 'exited'|'quit'|'SIGTERM'|'SIGKILL'}>}
+ */
+function stopFFmpeg(child, { quit, timeout = STOP_TIMEOUT } = {}) {
+    if (!child || child.exitCode !== null || child.signalCode !== null) {
+        return Promise.resolve({ code: child ? child.exitCode : null, signal: child ? child.signalCode : null, step: 'exited' });
+    }
+
+    return new Promise((resolve) => {
+        let step = 'quit';
+        let timer = null;
+        const escalate = () => {
+            step = step === 'quit' ? 'SIGTERM' : 'SIGKILL';
+            console.warn(`[ffmpegLocator] FFmpeg (pid ${child.pid}) still running after ${timeout}ms, sending ${step}`);
+            child.kill(step);
+            if (step === 'SIGTERM') timer = setTimeout(escalate, timeout);
+        };
+        child.once('close', (code, signal) => {
+            clearTimeout(timer);
+            resolve({ code, signal, step });
+        });
+
+        try {
+            if (quit) {
+                quit();
+            } else if (child.stdin && child.stdin.writable) {
+                child.stdin.on('error', () => {});
+                child.stdin.write('q');
+            } else {
+                step = 'SIGTERM';
+                child.kill('SIGTERM');
+            }
+        } catch (error) {
+            console.warn('[ffmpegLocator] Could not ask FFmpeg to quit:', error.message);
+        }
+        timer = setTimeout(escalate, timeout);
+    });
+}
+
+function runFFmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const process = spawnFFmpeg(args);
+        let output = '';
+        process.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+        process.stderr.on('data', (data) => {
+            output += data.toString();
+        });
+        process.on('error', reject);
+        process.on('close', (code) => {
+            if (code === 0) {
+                resolve(output);
+            } else {
+                reject(new Error(`ffmpeg ${args.join(' ')} exited with code ${code}`));
+            }
+        });
+    });
+}
+
+// Rows after the "--" separator of `ffmpeg -demuxers` / `-filters` / `-encoders`
+function parseListing(output, pattern) {
+    const separator = output.indexOf('\n --');
+    const body = separator >= 0 ? output.slice(output.indexOf('\n', separator + 1)) : output;
+    const names = [];
+    for (const line of body.split('\n')) {
+        const match = line.match(pattern);
+        if (match) names.push(...match[1].split(','));
+    }
+    return names;
+}
+
+/**
+ * Parse the version and compiled-in input formats, filters and encoders from FFmpeg's
+ * listings. Input devices (avfoundation, pulse, alsa, lavfi) appear among the demuxers.
+ * @param {{version: string, demuxers: string, filters: string, encoders: string}} outputs
+ * @returns {{version: string|null, inputFormats: string[], filters: string[], encoders: string[]}}
+ */
+function parseCapabilities({ version, demuxers, filters, encoders }) {
+    const versionMatch = version.match(/ffmpeg version (\S+)/);
+    return {
+        version: versionMatch ? versionMatch[1] : null,
+        // " D  avfoundation    AVFoundation input device" / " D d pulse  Pulse audio input"
+        inputFormats: parseListing(demuxers, /^\s*D\s*d?\s+(\S+)\s/),
+        // " ... afftdn            A->A       Denoise audio samples..."
+        filters: parseListing(filters, /^\s*[A-Z.|]{2,3}\s+(\S+)\s+\S*->\S*/),
+        // " A....D libopus              libopus Opus"
+        encoders: parseListing(encoders, /^\s*A[A-Z.]{5}\s+(\S+)\s/),
+    };
+}
+
+/**
+ * Run the located binary and record its version and capabilities (cached)
+ * @param {{refresh?: boolean}} [options]
+ * @returns {Promise<{path: string, source: string, overrideError?: string, version: string|null,
+ *   inputFormats: string[], filters: string[], encoders: string[]}>}
+ */
+async function detectCapabilities({ refresh = false } = {}) {
+    if (capabilities && !refresh) return capabilities;
+    if (refresh) located = null;
+
+    const binary = locateFFmpeg();
+    let version;
+    try {
+        version = await runFFmpeg(['-hide_banner', '-version']);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error('FFmpeg is not installed. Please install FFmpeg or set its location in Settings to use audio recording.');
+        }
+        throw error;
+    }
+    // A listing that fails stays empty, which findMissingCapabilities() treats as unknown
+    const list = (flag) => runFFmpeg(['-hide_banner', flag]).catch(error => {
+        console.warn(`[ffmpegLocator] Could not read ffmpeg ${flag}:`, error.message);
+        return '';
+    });
+    const [demuxers, filters, encoders] = await Promise.all([list('-demuxers'), list('-filters'), list('-encoders')]);
+
+    capabilities = { ...binary, ...parseCapabilities({ version, demuxers, filters, encoders }) };
+    console.log(`[ffmpegLocator] FFmpeg ${capabilities.version} at ${capabilities.path}: `
+        + `${capabilities.inputFormats.length} input formats, ${capabilities.filters.length} filters`);
+    return capabilities;
+}
+
+function getCachedCapabilities() {
+    return capabilities;
+}
+
+// Filter names in an -af chain or -filter_complex graph, e.g. "[0:a]aresample=async=1[me];..."
+function filterNames(graph) {
+    return graph
+        .split(/[;,]/)
+        .map(part => part.replace(/\[[^\]]*\]/g, '').split('=')[0].trim())
+        .filter(Boolean);
+}
+
+/**
+ * Input formats, filters and encoders an FFmpeg command needs that the detected binary
+ * lacks. Returns nothing to report until detectCapabilities() has run.
+ * @param {string[]} args
+ * @returns {{inputFormats: string[], filters: string[], encoders: string[]}}
+ */
+function findMissingCapabilities(args) {
+    const missing = { inputFormats: [], filters: [], encoders: [] };
+    if (!capabilities) return missing;
+    const lacks = (kind, name) => capabilities[kind].length > 0 && !capabilities[kind].includes(name)
+        && !missing[kind].includes(name);
+
+    // "-f <format>" names an input format when an -i follows; the last one is the output's
+    let format = null;
+    for (let i = 0; i < args.length - 1; i++) {
+        if (args[i] === '-f') {
+            format = args[i + 1];
+        } else if (args[i] === '-i') {
+            if (format && lacks('inputFormats', format)) missing.inputFormats.push(format);
+            format = null;
+        } else if (args[i] === '-af' || args[i] === '-filter_complex') {
+            for (const name of filterNames(args[i + 1])) {
+                if (lacks('filters', name)) missing.filters.push(name);
+            }
+        } else if (args[i] === '-c:a' || args[i] === '-acodec') {
+            const encoder = args[i + 1];
+            if (encoder !== 'copy' && lacks('encoders', encoder)) missing.encoders.push(encoder);
+        }
+    }
+    return missing;
+}
+
+/**
+ * Throw a readable error when the detected FFmpeg build can't run a command
+ * @param {string[]} args
+ */
+function assertCapabilities(args) {
+    const missing = findMissingCapabilities(args);
+    const problems = [
+        ...missing.inputFormats.map(name => `input format '${name}'`),
+        ...missing.filters.map(name => `filter '${name}'`),
+        ...missing.encoders.map(name => `encoder '${name}'`),
+    ];
+    if (problems.length > 0) {
+        throw new Error(`The FFmpeg build at ${getFFmpegPath()} lacks ${problems.join(', ')}. `
+            + 'Install a full FFmpeg build or choose another one in Settings.');
+    }
+}
+
+module.exports = {
+    setOverridePath,
+    locateFFmpeg,
+    getFFmpegPath,
+    spawnFFmpeg,
+    spawnFFmpegSync,
+    stopFFmpeg,
+    detectCapabilities,
+    getCachedCapabilities,
+    parseCapabilities,
+    findMissingCapabilities,
+    assertCapabilities,
+};
@@ -0,0 +1,86 @@
+// Turns an audio or video file recorded elsewhere (Zoom, a phone) into a file in the upload
+// format, so it can be transcribed the same way as a recording made here.
+const fs = require('fs');
+const path = require('path');
+const { spawnFFmpeg } = require('./ffmpegLocator');
+const { encoderArgs } = require('./outputFormats');
+
+const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'aac', 'wav', 'ogg', 'opus', 'flac', 'wma', 'amr', 'aiff'];
+const VIDEO_EXTENSIONS = ['mp4', 'mov', 'm4v', 'mkv', 'webm', 'avi', 'wmv', '3gp'];
+const IMPORT_EXTENSIONS = [...AUDIO_EXTENSIONS, ...VIDEO_EXTENSIONS];
+
+// Filters for dialog.showOpenDialog()
+const IMPORT_FILE_FILTERS = [
+    { name: 'Audio and Video', extensions: IMPORT_EXTENSIONS },
+    { name: 'Audio', extensions: AUDIO_EXTENSIONS },
+    { name: 'Video', extensions: VIDEO_EXTENSIONS },
+];
+
+function isImportableFile(filePath) {
+    return IMPORT_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase());
+}
+
+// "01:02:03.45" -> seconds
+function parseTimestamp(value) {
+    const [hours, minutes, seconds] = value.split(':').map(Number);
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Transcode the audio track of a file to the upload format; video and subtitles are dropped
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {Object} outputSettings - Result of resolveOutputSettings()
+ * @param {function(number): void} [onProgress] - Fraction done (0..1), once FFmpeg reports the input's duration
+ * @returns {Promise<{duration: number|null}>} Length of the input in seconds, if FFmpeg reported it
+ */
+function transcodeForUpload(inputPath, outputPath, outputSettings, onProgress) {
+    const args = [
+        '-hide_banner', '-y',
+        '-i', inputPath,
+        '-vn', '-sn', '-dn',
+        '-ac', String(outputSettings.channels),
+        '-ar', String(outputSettings.sampleRate),
+        ...encoderArgs(outputSettings),
+        outputPath,
+    ];
+    console.log('Importing with args:', args.join(' '));
+
+    return new Promise((resolve, reject) => {
+        const process = spawnFFmpeg(args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+        let duration = null;
+        process.stderr.on('data', (data) => {
+            const text = data.toString();
+            stderr = (stderr + text).slice(-4096);
+            if (duration === null) {
+                const match = stderr.match(/Duration: (\d+:\d+:\d+(?:\.\d+)?)/);
+                if (match) duration = parseTimestamp(match[1]);
+            }
+            const times = text.match(/time=(\d+:\d+:\d+(?:\.\d+)?)/g);
+            if (times && duration > 0 && onProgress) {
+                onProgress(Math.min(1, parseTimestamp(times[times.length - 1].slice(5)) / duration));
+            }
+        });
+        process.on('error', reject);
+        process.on('close', (code) => {
+            if (code === 0) {
+                resolve({ duration });
+            } else if (/does not contain any stream|matches no streams/.test(stderr)) {
+                reject(new Error(`${path.basename(inputPath)} has no audio track`));
+            } else {
+                reject(new Error(`FFmpeg import failed with code ${code}: ${stderr.trim().split('\n').slice(-3).join(' ')}`));
+            }
+        });
+    }).catch(async (error) => {
+        await fs.promises.unlink(outputPath).catch(() => {});
+        throw error;
+    });
+}
+
+module.exports = {
+    IMPORT_EXTENSIONS,
+    IMPORT_FILE_FILTERS,
+    isImportableFile,
+    transcodeForUpload,
+};
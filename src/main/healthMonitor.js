@@ -0,0 +1,135 @@
+// Watches the input of a running recording for problems nobody notices until the meeting
+// is over: an input that delivers digital silence (muted or dead mic), repeated clipping,
+// and a level that stays too low to transcribe well.
+const { EventEmitter } = require('events');
+
+const DEFAULT_HEALTH_RULES = {
+    deadInput: { enabled: true, after: 10 },                // seconds of digital silence from the start
+    clipping: { enabled: true, count: 5, window: 10 },      // clipping chunks within `window` seconds
+    lowLevel: { enabled: true, threshold: -30, after: 60 }, // seconds of sound peaking below threshold dBFS
+};
+
+// Peaks at or below this are zeros (or dither) from a muted device, not a quiet room
+const DIGITAL_SILENCE = -90;
+// A clipping warning clears after this many seconds without clipping
+const CLIPPING_CLEAR_AFTER = 30;
+
+const MESSAGES = {
+    'dead-input': 'No signal from the input device since the recording started. Check that the microphone isn\'t muted or disconnected.',
+    'clipping': 'The input is clipping. Lower the input gain or move away from the microphone.',
+    'low-level': 'The input level has been very low for a while. Raise the input gain or move closer to the microphone.',
+};
+
+/**
+ * Merge stored health settings over the defaults
+ * @param {Object} [rules]
+ * @returns {Object}
+ */
+function resolveHealthRules(rules = {}) {
+    return {
+        deadInput: { ...DEFAULT_HEALTH_RULES.deadInput, ...(rules.deadInput || {}) },
+        clipping: { ...DEFAULT_HEALTH_RULES.clipping, ...(rules.clipping || {}) },
+        lowLevel: { ...DEFAULT_HEALTH_RULES.lowLevel, ...(rules.lowLevel || {}) },
+    };
+}
+
+/**
+ * Fed the input's per-chunk levels by the recording service. Emits:
+ *   'warning' ({ type, message, since }) - type is 'dead-input', 'clipping' or 'low-level'
+ *   'cleared' ({ type })                 - the problem went away
+ */
+class RecordingHealthMonitor extends EventEmitter {
+    /**
+     * @param {Object} [rules] - health settings
+     * @param {{silenceThreshold?: number}} [options] - Chunks below it are silence and don't count as low level
+     */
+    constructor(rules, { silenceThreshold = -50 } = {}) {
+        super();
+        this.rules = resolveHealthRules(rules);
+        this.silenceThreshold = silenceThreshold;
+        this.warnings = new Map();
+        this.restart();
+    }
+
+    /**
+     * Start over, e.g. after switching to another input device; active warnings are cleared
+     */
+    restart() {
+        for (const type of [...this.warnings.keys()]) this.clear(type);
+        this.elapsed = 0;
+        this.inputHeard = false;
+        this.clippingAt = [];
+        this.quietFor = 0;
+    }
+
+    /**
+     * @param {{peak: number, level: number, clipped: number, duration: number, paused?: boolean}} chunk
+     *   peak and level (RMS) in dBFS, clipped = samples at full scale, duration in seconds
+     */
+    update({ peak, level, clipped, duration, paused = false }) {
+        const { deadInput, clipping, lowLevel } = this.rules;
+        this.elapsed += duration;
+
+        // Checked whether paused or not: capture keeps running and a dead device stays dead
+        if (!this.inputHeard) {
+            if (peak > DIGITAL_SILENCE) {
+                this.inputHeard = true;
+                this.clear('dead-input');
+            } else if (deadInput.enabled && this.elapsed >= deadInput.after) {
+                this.warn('dead-input');
+            }
+        }
+        // Nothing reaches the file while paused
+        if (paused) return;
+
+        if (clipping.enabled) {
+            if (clipped > 0) this.clippingAt.push(this.elapsed);
+            while (this.clippingAt.length > 0 && this.elapsed - this.clippingAt[0] > clipping.window) {
+                this.clippingAt.shift();
+            }
+            if (this.clippingAt.length >= clipping.count) {
+                this.warn('clipping');
+            } else if (this.clippingAt.length === 0 && this.warnings.has('clipping')
+                && this.elapsed - this.warnings.get('clipping').lastSeen >= CLIPPING_CLEAR_AFTER) {
+                this.clear('clipping');
+            }
+            if (clipped > 0 && this.warnings.has('clipping')) this.warnings.get('clipping').lastSeen = this.elapsed;
+        }
+
+        if (lowLevel.enabled) {
+            if (peak >= lowLevel.threshold) {
+                this.quietFor = 0;
+                this.clear('low-level');
+            } else if (level >= this.silenceThreshold) {
+                // Something is there but never gets loud; silence counts neither way
+                this.quietFor += duration;
+                if (this.quietFor >= lowLevel.after) this.warn('low-level');
+            }
+        }
+    }
+
+    warn(type) {
+        if (this.warnings.has(type)) return;
+        const warning = { type, message: MESSAGES[type], since: new Date().toISOString() };
+        this.warnings.set(type, { ...warning, lastSeen: this.elapsed });
+        this.emit('warning', warning);
+    }
+
+    clear(type) {
+        if (!this.warnings.delete(type)) return;
+        this.emit('cleared', { type });
+    }
+
+    /**
+     * @returns {Array<{type: string, message: string, since: string}>} Active warnings
+     */
+    getWarnings() {
+        return [...this.warnings.values()].map(({ type, message, since }) => ({ type, message, since }));
+    }
+}
+
+module.exports = {
+    RecordingHealthMonitor,
+    resolveHealthRules,
+    DEFAULT_HEALTH_RULES,
+};
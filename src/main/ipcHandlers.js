@@ -1,4 +1,8 @@
 const { ipcMain, dialog } = require('electron');
+const deviceRegistry = require('./deviceRegistry');
+const ffmpegLocator = require('./ffmpegLocator');
+const visualization = require('./visualization');
+const { LANGUAGES, FEATURES, MAX_SPEAKERS, resolveTranscriptionOptions } = require('./transcriptionOptions');
 
 let ipcHandlersRegistered = false;
 
@@ -11,7 +15,15 @@ function setupIPCHandlers({
     setState,
     startRecording,
     stopRecording,
+    pauseRecording,
+    resumeRecording,
+    cancelAutoStop,
+    addRecordingMarker,
+    importRecording,
+    retryUpload,
+    cancelUpload,
     cleanupRecording,
+    watchDevicesFor,
     recordingWindow,
     settingsWindow,
     createAndShowLoginWindow,
@@ -34,9 +46,10 @@ function setupIPCHandlers({
     });
 
     ipcMain.handle('update-settings', (_, changes) => {
+        // Objects are merged key by key; arrays (the glossary) replace the stored list
         const mergeChanges = (target, source) => {
             Object.keys(source).forEach(key => {
-                if (source[key] && typeof source[key] === 'object') {
+                if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
                     if (!target[key]) Object.assign(target, { [key]: {} });
                     mergeChanges(target[key], source[key]);
                 } else {
@@ -114,6 +127,75 @@ function setupIPCHandlers({
         }
     });
 
+    ipcMain.on('pause-recording', () => {
+        if (!pauseRecording()) {
+            console.log('No active recording to pause');
+        }
+    });
+
+    ipcMain.on('resume-recording', () => {
+        if (!resumeRecording()) {
+            console.log('No paused recording to resume');
+        }
+    });
+
+    ipcMain.on('cancel-auto-stop', () => {
+        if (!cancelAutoStop || !cancelAutoStop('user')) {
+            console.log('No auto-stop to cancel');
+        }
+    });
+
+    // Flag the current moment of the recording, with an optional label
+    ipcMain.handle('add-recording-marker', (_, options) => {
+        const marker = addRecordingMarker ? addRecordingMarker(options || {}) : null;
+        return marker ? { success: true, marker } : { success: false, error: 'Not recording' };
+    });
+
+    // Transcribe an audio/video file recorded elsewhere (dropped on a window, or picked
+    // in a dialog when no filePath is given). sent is false if the dialog was cancelled.
+    ipcMain.handle('import-recording', async (_, options) => {
+        try {
+            const sent = await importRecording(options || {});
+            return { success: true, sent };
+        } catch (error) {
+            console.error('Failed to import recording:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Workspace defaults and the choices offered, for the settings panel and the overlay's per-meeting options
+    ipcMain.handle('get-transcription-options', () => ({
+        defaults: resolveTranscriptionOptions(store.get('transcription') || {}),
+        languages: LANGUAGES,
+        features: FEATURES,
+        maxSpeakers: MAX_SPEAKERS
+    }));
+
+    // Recordings waiting to be uploaded (also in the tray menu)
+    ipcMain.handle('get-upload-queue', () => getState().uploadQueue);
+
+    ipcMain.handle('retry-upload', (_, id) => {
+        return retryUpload && retryUpload(id) ? { success: true } : { success: false, error: 'No such upload, or it is in progress' };
+    });
+
+    // Asks for confirmation; cancelled is false if the user kept the upload
+    ipcMain.handle('cancel-upload', async (_, id) => {
+        try {
+            return { success: true, cancelled: await cancelUpload(id) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    });
+
+    // Live level/waveform frames arrive on a MessagePort of their own
+    ipcMain.on('visualization-subscribe', (event, options) => {
+        visualization.subscribe(event.sender, options || {});
+    });
+
+    ipcMain.on('visualization-unsubscribe', (event) => {
+        visualization.unsubscribe(event.sender.id);
+    });
+
     ipcMain.on('open-login-window', () => {
         createAndShowLoginWindow({
             preloadPath: path.join(__dirname, '../../preload.js'),
@@ -447,10 +529,11 @@ function setupIPCHandlers({
     });
 
     // Start audio recording (real implementation)
-    ipcMain.handle('start-recording-audio', async () => {
+    // options.transcription: the meeting's language, features and speaker count, chosen in the overlay
+    ipcMain.handle('start-recording-audio', async (_, options) => {
         try {
             console.log('[start-recording-audio] Handler called');
-            await startRecording();
+            await startRecording(options || {});
             console.log('[start-recording-audio] startRecording completed');
             return { success: true };
         } catch (err) {
@@ -542,79 +625,40 @@ function setupIPCHandlers({
         }
     });
 
-    // List available audio input devices (FFmpeg/AVFoundation)
-    ipcMain.handle('list-audio-input-devices', async () => {
-        const { execSync } = require('child_process');
-        const fs = require('fs');
-
-        const ffmpegPaths = [
-            'ffmpeg', 
-            '/opt/homebrew/bin/ffmpeg',
-            '/usr/local/bin/ffmpeg',
-            '/usr/bin/ffmpeg'
-        ];
-
-        let output = '';
-        let ffmpegFoundPath = '';
-
-        for (const p of ffmpegPaths) {
-            try {
-                if (p !== 'ffmpeg' && !fs.existsSync(p)) continue;
-                console.log(`[FFmpeg] Trying path via shell: ${p}`);
-                const currentAttemptOutput = execSync(`sh -c '"${p}" -hide_banner -loglevel debug -f avfoundation -list_devices true -i ""' 2>&1`, {
-                    encoding: 'utf8',
-                    timeout: 7000,
-                    shell: true
-                });
-                output = currentAttemptOutput;
-                ffmpegFoundPath = p;
-                console.log(`[FFmpeg] Successfully executed with: ${p}. Output:\n${output}`);
-                break; 
-            } catch (err) {
-                const capturedOutput = err.stdout ? err.stdout.toString() : "";
-                if (capturedOutput.includes('AVFoundation audio devices:')) {
-                    console.warn(`[FFmpeg] Command failed for ${p} but produced device list. Using this output.`);
-                    output = capturedOutput;
-                    ffmpegFoundPath = p;
-                    break;
-                } else {
-                    let stderrOutput = err.stderr ? err.stderr.toString() : "N/A";
-                    let stdoutForLog = capturedOutput ? capturedOutput : "N/A";
-
-                    console.warn(`[FFmpeg] Failed with path ${p}. Status: ${err.status}, Signal: ${err.signal}`);
-                    console.warn(`[FFmpeg] Stderr (${p}):\n${stderrOutput}`);
-                    console.warn(`[FFmpeg] Stdout (${p}):\n${stdoutForLog}`);
-                    if (output === '') {
-                       output = `Error executing FFmpeg with ${p}. Stderr: ${stderrOutput}\nStdout: ${stdoutForLog}`;
-                    }
-                }
-            }
-        }
-
-        if (!ffmpegFoundPath) {
-            console.error('[FFmpeg] Not found or failed to produce device list in all specified paths.');
-            return { success: false, error: 'FFmpeg not found or failed to produce device list.', rawOutput: output };
+    // FFmpeg binary in use and its version, for the settings panel
+    ipcMain.handle('get-ffmpeg-info', async () => {
+        try {
+            const { path, source, version, overrideError } = await ffmpegLocator.detectCapabilities({ refresh: true });
+            return { success: true, path, source, version, overrideError: overrideError || null };
+        } catch (err) {
+            const { path, source, overrideError } = ffmpegLocator.locateFFmpeg();
+            return { success: false, error: err.message, path, source, overrideError: overrideError || null };
         }
+    });
 
+    // List available audio input devices, with the uids the stored device settings resolve to
+    ipcMain.handle('list-audio-input-devices', async (event) => {
         try {
-            const audioDevices = [];
-            let inAudioSection = false;
-            output.split('\n').forEach(line => {
-                if (line.includes('AVFoundation audio devices:')) {
-                    inAudioSection = true;
-                } else if (inAudioSection && line.match(/\[\d+\] /)) {
-                    const match = line.match(/\[(\d+)\] (.+)$/);
-                    if (match) {
-                        audioDevices.push({ index: parseInt(match[1], 10), name: match[2].trim() });
-                    }
-                } else if (inAudioSection && (line.trim() === '' || line.includes('AVFoundation video devices:'))) {
-                    inAudioSection = false;
+            // The list stays current while its window is open
+            if (watchDevicesFor) watchDevicesFor(event.sender);
+            const devices = await deviceRegistry.listDevices();
+            const selectedUid = (device) => {
+                const resolved = deviceRegistry.resolveDevice(device, devices);
+                return resolved ? resolved.uid : null;
+            };
+            const dualSource = store.get('dualSource') || {};
+            return {
+                success: true,
+                devices,
+                selected: {
+                    inputDevice: selectedUid(store.get('inputDevice')),
+                    fallbackInputDevice: selectedUid(store.get('fallbackInputDevice')),
+                    systemDevice: selectedUid(dualSource.systemDevice),
                 }
-            });
-            return { success: true, devices: audioDevices, rawOutput: output, ffmpegPath: ffmpegFoundPath };
-        } catch (parseError) {
-            console.error('[FFmpeg] Error parsing output:', parseError);
-            return { success: false, error: 'Error parsing FFmpeg output.', rawOutput: output, ffmpegPath: ffmpegFoundPath };
+            };
+        } catch (err) {
+            console.error('[list-audio-input-devices] Failed to list devices:', err);
+            return { success: false, error: err.message };
         }
     });
 }
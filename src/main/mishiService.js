@@ -2,6 +2,11 @@ const { createClient } = require('@supabase/supabase-js');
 const FormData = require('form-data');
 const { Readable } = require('stream');
 const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const path = require('path');
+const { uploadResumable } = require('./resumableUpload');
+const { resolveTranscriptionOptions, transcriptionPayload } = require('./transcriptionOptions');
+const { buildWordBoost } = require('./wordBoost');
 
 class MishiIntegration {
     constructor(config) {
@@ -22,6 +27,9 @@ class MishiIntegration {
             }
         });
 
+        this.supabaseUrl = config.supabaseUrl;
+        this.anonKey = config.anonKey;
+        this.recordingsBucket = config.recordingsBucket;
         this.webAppUrl = config.webAppUrl;
         this.currentMeetingId = null;
         this.workspaceId = null;
@@ -147,19 +155,48 @@ class MishiIntegration {
         return meeting;
     }
 
-    async transcribeAudio(audioBlob, meetingId, additionalFeatures = []) {
+    /**
+     * Upload a recording to the recordings bucket and have the transcribe-audio edge function
+     * transcribe it from there
+     * @param {string} filePath - Encoded recording on disk
+     * @param {string} meetingId
+     * @param {string[]} [additionalFeatures]
+     * @param {Object} [options]
+     * @param {Object} [options.audioFormat] - What the recording was encoded as (AudioRecorder.getOutputFormat())
+     * @param {function(number, number): void} [options.onUploadProgress] - (bytesUploaded, bytesTotal)
+     * @param {string} [options.uploadUrl] - Storage upload started by an earlier attempt, to resume
+     * @param {function(string): void} [options.onUploadUrl] - Called with the URL of a newly started upload
+     * @param {Object} [options.transcription] - Language, features, speaker count, glossary and company
+     *   (resolveTranscriptionOptions())
+     */
+    async transcribeAudio(filePath, meetingId, additionalFeatures = [], options = {}) {
         if (!meetingId) {
             throw new Error('Meeting ID is required for transcription.');
         }
 
         console.log('[transcribeAudio] Starting audio transcription for meeting:', meetingId);
 
+        // A failed upload leaves the meeting as it was; the recorder queues it and tries again
+        const { audioFormat = {} } = options;
+        const storage = await this.uploadRecording(filePath, meetingId, audioFormat.mimeType || 'application/octet-stream', options.onUploadProgress, {
+            uploadUrl: options.uploadUrl,
+            onUploadUrl: options.onUploadUrl
+        });
+
         try {
-            const features = ['sentiment_analysis', 'entity_detection', ...additionalFeatures];
-            const audioBuffer = Buffer.isBuffer(audioBlob) ? audioBlob : Buffer.from(audioBlob);
-            if (!audioBuffer || audioBuffer.length === 0) throw new Error('Audio data is empty');
-            const audioData = audioBuffer.toString('base64');
-            const payload = { audioData, meetingId, languageCode: 'en_us', features: [...new Set(features)] };
+            const transcription = resolveTranscriptionOptions(options.transcription);
+            const payload = {
+                audioPath: storage.path,
+                audioBucket: storage.bucket,
+                meetingId,
+                ...transcriptionPayload(transcription, additionalFeatures),
+                wordBoost: await this.getWordBoost(meetingId, transcription)
+            };
+            if (options.audioFormat) {
+                const { mimeType, container, codec, sampleRate, channels, bitrate, channelMode } = options.audioFormat;
+                payload.mimeType = mimeType;
+                payload.audioFormat = { container, codec, sampleRate, channels, bitrate, channelMode };
+            }
             let updateAttempts = 0, maxAttempts = 3, updateSuccess = false;
             while (updateAttempts < maxAttempts && !updateSuccess) {
                 try {
@@ -192,6 +229,88 @@ class MishiIntegration {
         }
     }
 
+    /**
+     * Terms to boost for a meeting: the glossary, plus the name and people of its company (the
+     * one chosen in the overlay, or else the meeting's own). A failed lookup only loses the
+     * company's terms.
+     * @param {string} meetingId
+     * @param {{vocabulary?: string[], companyId?: string|null}} transcription
+     * @returns {Promise<string[]>}
+     */
+    async getWordBoost(meetingId, { vocabulary = [], companyId = null } = {}) {
+        try {
+            if (!companyId) {
+                const { data: meeting, error } = await this.supabaseUser
+                    .from('meetings')
+                    .select('company_id')
+                    .eq('id', meetingId)
+                    .maybeSingle();
+                if (error) throw error;
+                companyId = meeting && meeting.company_id;
+            }
+            if (!companyId) return buildWordBoost({ vocabulary });
+
+            const [company, companyPeople, companyContacts] = await Promise.all([
+                this.supabaseUser.from('companies').select('name').eq('id', companyId).eq('workspace_id', this.workspaceId).maybeSingle(),
+                this.supabaseUser.from('company_people').select('contacts(first_name, last_name)').eq('company_id', companyId),
+                this.supabaseUser.from('contacts').select('first_name, last_name').eq('company_id', companyId).eq('workspace_id', this.workspaceId),
+            ]);
+            const failed = [company, companyPeople, companyContacts].find(result => result.error);
+            if (failed) throw failed.error;
+            const people = [
+                ...(companyPeople.data || []).map(row => row.contacts).filter(Boolean),
+                ...(companyContacts.data || []),
+            ];
+            return buildWordBoost({ vocabulary, companyName: company.data && company.data.name, people });
+        } catch (error) {
+            console.error('[getWordBoost] Failed to look up company names, boosting the glossary only:', error);
+            return buildWordBoost({ vocabulary });
+        }
+    }
+
+    /**
+     * Resumable upload of a recording to <bucket>/<workspace>/<meeting>/recording.<ext>, as the
+     * signed-in user (Storage policies apply)
+     * @param {{uploadUrl?: string, onUploadUrl?: function(string): void}} [resume] - See uploadResumable()
+     * @returns {Promise<{bucket: string, path: string, size: number}>}
+     */
+    async uploadRecording(filePath, meetingId, contentType, onProgress, { uploadUrl, onUploadUrl } = {}) {
+        if (!this.workspaceId) throw new Error('Workspace ID not set. Call initialize() first.');
+        const { size } = await fs.promises.stat(filePath);
+        if (size === 0) throw new Error('Audio data is empty');
+        const objectName = `${this.workspaceId}/${meetingId}/recording${path.extname(filePath)}`;
+        console.log(`[uploadRecording] Uploading ${size} bytes to ${this.recordingsBucket}/${objectName}`);
+        return uploadResumable({
+            endpoint: `${this.supabaseUrl}/storage/v1/upload/resumable`,
+            getHeaders: async () => {
+                const { data: { session } } = await this.supabaseUser.auth.getSession();
+                if (!session) throw new Error('No valid authentication session');
+                return { Authorization: `Bearer ${session.access_token}`, apikey: this.anonKey };
+            },
+            filePath,
+            bucket: this.recordingsBucket,
+            objectName,
+            contentType,
+            uploadUrl,
+            onUploadUrl,
+            onProgress,
+        });
+    }
+
+    /**
+     * Merge recording details (pause intervals, etc.) into the meeting's recording_metadata.
+     * The merge runs in the database (jsonb ||), so writers of other keys aren't overwritten.
+     * @param {string} meetingId
+     * @param {Object} metadata
+     */
+    async updateRecordingMetadata(meetingId, metadata) {
+        if (!meetingId) throw new Error('Meeting ID is required to update recording metadata.');
+
+        const { error } = await this.supabaseAdmin
+            .rpc('merge_recording_metadata', { p_meeting_id: meetingId, p_metadata: metadata });
+        if (error) throw error;
+    }
+
     async openInWebApp(userId) {
         if (!this.currentMeetingId) throw new Error('No active meeting.');
         const { data: token, error: tokenError } = await this.supabaseAdmin
@@ -284,6 +403,7 @@ function initMishiService() {
         supabaseUrl: config.SUPABASE_URL,
         supabaseKey: config.SUPABASE_SERVICE_ROLE_KEY,
         anonKey: config.SUPABASE_ANON_KEY,
+        recordingsBucket: config.RECORDINGS_BUCKET,
         webAppUrl: config.MISHI_WEB_APP_URL,
     });
     return mishiInstance;
@@ -313,6 +433,10 @@ module.exports = {
         ensureInitialized();
         return mishiInstance.transcribeAudio(...args);
     },
+    updateRecordingMetadata: async (...args) => {
+        ensureInitialized();
+        return mishiInstance.updateRecordingMetadata(...args);
+    },
     subscribeToTranscriptionStatus: (...args) => {
         ensureInitialized();
         return mishiInstance.subscribeToTranscriptionStatus(...args);
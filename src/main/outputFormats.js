@@ -0,0 +1,119 @@
+// Output codecs for recordings. The capture process always delivers s16le PCM;
+// these describe what that PCM is encoded into on disk and how it is labeled on upload.
+const path = require('path');
+const { WavWriter } = require('./wavWriter');
+const { EncoderWriter } = require('./encoderWriter');
+
+const OUTPUT_FORMATS = {
+    wav: {
+        extension: 'wav',
+        mimeType: 'audio/wav',
+        container: 'wav',
+        codec: 'pcm_s16le',
+        supportsBitrate: false,
+        sampleRates: [8000, 16000, 22050, 24000, 32000, 44100, 48000],
+    },
+    opus: {
+        extension: 'opus',
+        mimeType: 'audio/ogg',
+        container: 'ogg',
+        codec: 'libopus',
+        supportsBitrate: true,
+        // libopus only accepts these input rates
+        sampleRates: [8000, 12000, 16000, 24000, 48000],
+    },
+    flac: {
+        extension: 'flac',
+        mimeType: 'audio/flac',
+        container: 'flac',
+        codec: 'flac',
+        supportsBitrate: false,
+        sampleRates: [8000, 16000, 22050, 24000, 32000, 44100, 48000],
+    },
+};
+
+const DEFAULT_OUTPUT = { format: 'opus', sampleRate: 16000, bitrate: '32k', channels: 1 };
+
+/**
+ * Normalize stored `output` settings, falling back to defaults for anything unsupported
+ * @param {{format?: string, sampleRate?: number, bitrate?: string, channels?: number}} [output]
+ * @returns {{format: string, sampleRate: number, bitrate: string|null, channels: number,
+ *   extension: string, mimeType: string, container: string, codec: string}}
+ */
+function resolveOutputSettings(output = {}) {
+    const format = OUTPUT_FORMATS[output.format] ? output.format : DEFAULT_OUTPUT.format;
+    const spec = OUTPUT_FORMATS[format];
+
+    const requestedRate = Number(output.sampleRate) || DEFAULT_OUTPUT.sampleRate;
+    const sampleRate = spec.sampleRates.includes(requestedRate)
+        ? requestedRate
+        // Pick the closest supported rate rather than failing the recording
+        : spec.sampleRates.reduce((best, rate) => (Math.abs(rate - requestedRate) < Math.abs(best - requestedRate) ? rate : best));
+
+    const bitrate = spec.supportsBitrate && /^\d+k?$/.test(String(output.bitrate || ''))
+        ? String(output.bitrate)
+        : (spec.supportsBitrate ? DEFAULT_OUTPUT.bitrate : null);
+
+    const channels = output.channels === 2 ? 2 : DEFAULT_OUTPUT.channels;
+
+    return {
+        format,
+        sampleRate,
+        bitrate,
+        channels,
+        extension: spec.extension,
+        mimeType: spec.mimeType,
+        container: spec.container,
+        codec: spec.codec,
+    };
+}
+
+/**
+ * Create the file sink for a recording: WAV is written in Node, compressed
+ * formats are piped through an FFmpeg encoder.
+ * @param {string} filePath
+ * @param {Object} outputSettings - Result of resolveOutputSettings()
+ * @returns {WavWriter|EncoderWriter} Sink with write(chunk) and close()
+ */
+function createOutputWriter(filePath, outputSettings) {
+    const pcmFormat = {
+        sampleRate: outputSettings.sampleRate,
+        channels: outputSettings.channels,
+        bitsPerSample: 16,
+    };
+
+    if (outputSettings.format === 'wav') {
+        return new WavWriter(filePath, pcmFormat);
+    }
+
+    return new EncoderWriter(filePath, pcmFormat, encoderArgs(outputSettings));
+}
+
+/**
+ * FFmpeg output options that encode audio as the given output format
+ * @param {Object} outputSettings - Result of resolveOutputSettings()
+ * @returns {string[]}
+ */
+function encoderArgs(outputSettings) {
+    const args = ['-c:a', outputSettings.codec];
+    if (outputSettings.bitrate) args.push('-b:a', outputSettings.bitrate);
+    if (outputSettings.format === 'opus') args.push('-application', 'voip');
+    return [...args, '-f', outputSettings.container];
+}
+
+/**
+ * Swap the extension of a path to match the output format (temp_recording.opus -> temp_recording.wav)
+ */
+function withFormatExtension(filePath, outputSettings) {
+    const base = path.basename(filePath, path.extname(filePath));
+    return path.join(path.dirname(filePath), `${base}.${outputSettings.extension}`);
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    DEFAULT_OUTPUT,
+    resolveOutputSettings,
+    createOutputWriter,
+    encoderArgs,
+    withFormatExtension,
+};
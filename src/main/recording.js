@@ -1,13 +1,46 @@
 const path = require('path');
 const fs = require('fs');
 const AudioRecorder = require('../../audioRecorder');
+const { resolveOutputSettings, withFormatExtension } = require('./outputFormats');
+const { IMPORT_FILE_FILTERS, isImportableFile, transcodeForUpload } = require('./fileImport');
+const { concatenateSegments, DEFAULT_SEGMENT_DURATION } = require('./segmentedWriter');
+const { resolveSilenceRules, trimAudioFile } = require('./silenceMonitor');
+const { RecordingHealthMonitor } = require('./healthMonitor');
+const { verifyAudioFile } = require('./audioIntegrity');
+const { UploadQueue } = require('./uploadQueue');
+const { createUploadProgress, formatUploadProgress } = require('./uploadProgress');
+const { resolveTranscriptionOptions } = require('./transcriptionOptions');
+const { DeviceWatcher, DEFAULT_POLL_INTERVAL, DEFAULT_IDLE_POLL_INTERVAL } = require('./deviceWatcher');
+const deviceRegistry = require('./deviceRegistry');
+const { isSameDevice } = deviceRegistry;
+const visualization = require('./visualization');
+
+const DEFAULT_FALLBACK_DEVICE = { type: 'mic', index: 0, name: 'Default Microphone' };
+const DEFAULT_VISUALIZATION_FRAME_RATE = 20;
+const DEFAULT_MARKER_SHORTCUT = 'CommandOrControl+Shift+M';
+const UPLOAD_QUEUE_FILENAME = 'upload-queue.json';
 
 let store, mishiService, supabase, getState, setState, TEMP_RECORDING_FILENAME;
 let audioRecorder = null;
 let tempRecordingPath = null;
+let recordingDirectory = null;
 let audioVisualizationInterval = null;
+let latestVisualizationFrame = null;
 let isStoppingRecording = false;
 let stopRecordingTimeout = null;
+// True while the segments are joined and trimmed into tempRecordingPath
+let isFinalizingRecording = false;
+let deviceWatcher = null;
+// webContents showing a device list (the settings panel); devices are polled quickly while one is open
+const deviceListViewers = new Set();
+let isFailingOver = false;
+let autoStopTimer = null;
+let autoStopNotification = null;
+let healthMonitor = null;
+let markerShortcut = null;
+let uploadQueue = null;
+// Transcription options chosen for the running recording, handed to its upload job
+let recordingTranscription = null;
 
 function initRecordingService({ store: s, mishiService: m, supabase: sb, getState: gs, setState: ss, TEMP_RECORDING_FILENAME: tempFile }) {
     store = s;
@@ -19,12 +52,175 @@ function initRecordingService({ store: s, mishiService: m, supabase: sb, getStat
     const baseDir = store.path ? path.dirname(store.path) : require('electron').app.getPath('userData');
     tempRecordingPath = path.join(baseDir, TEMP_RECORDING_FILENAME);
     initializeAudioRecorder();
+    startDeviceWatcher();
+    startUploadQueue(path.join(baseDir, UPLOAD_QUEUE_FILENAME));
+}
+
+// Uploads go through a queue kept on disk, so a recording stopped offline is sent later
+function startUploadQueue(queuePath) {
+    if (uploadQueue) return;
+    const { net } = require('electron');
+    uploadQueue = new UploadQueue(queuePath, {
+        upload: async (job) => {
+            try {
+                await sendForTranscription(job);
+            } catch (error) {
+                setState({ statusMessage: `Upload failed: ${error.message}` });
+                throw error;
+            }
+        },
+        canUpload: () => getState().isLoggedIn && net.isOnline()
+    });
+    uploadQueue.on('change', jobs => setState({ uploadQueue: jobs }));
+    uploadQueue.on('failed', (job) => {
+        setState({ transcriptionStatus: 'error', statusMessage: `Upload of "${job.title || job.meetingId}" failed` });
+        const { Notification } = require('electron');
+        if (Notification.isSupported()) {
+            new Notification({
+                title: 'Upload failed',
+                body: `"${job.title || 'Recording'}" could not be uploaded: ${job.lastError}. Retry it from the tray menu.`
+            }).show();
+        }
+    });
+    uploadQueue.load();
+    uploadQueue.process();
+}
+
+function startDeviceWatcher() {
+    if (deviceWatcher) return;
+    deviceWatcher = new DeviceWatcher({
+        interval: store.get('devices.pollInterval', DEFAULT_POLL_INTERVAL),
+        idleInterval: store.get('devices.idlePollInterval', DEFAULT_IDLE_POLL_INTERVAL)
+    });
+    deviceRegistry.listDevices()
+        .then(devices => setState({ inputDevices: devices }))
+        .catch(error => console.error('[recording] Failed to list input devices:', error));
+    deviceWatcher.on('devicesChanged', ({ devices, removed }) => {
+        // Keep the tray menu and open device lists (settings panel) current
+        setState({ inputDevices: devices });
+        const { BrowserWindow } = require('electron');
+        BrowserWindow.getAllWindows().forEach(window => {
+            if (!window.isDestroyed()) window.webContents.send('audio-devices-changed', devices);
+        });
+
+        const active = audioRecorder && audioRecorder.settings.inputDevice;
+        if (getState().isRecording && removed.some(device => isSameDevice(device, active))) {
+            failoverToFallbackDevice('device-removed');
+        }
+    });
+    deviceWatcher.start();
+    updateDevicePolling();
+}
+
+// Hot-plug matters while recording (failover) and while someone is picking a device
+function updateDevicePolling() {
+    if (deviceWatcher) deviceWatcher.setActive(getState().isRecording || deviceListViewers.size > 0);
+}
+
+/**
+ * Poll devices quickly until the window showing the list is hidden or closed
+ * @param {Electron.WebContents} webContents - Sender of list-audio-input-devices
+ */
+function watchDevicesFor(webContents) {
+    if (!webContents || deviceListViewers.has(webContents)) return;
+    const { BrowserWindow } = require('electron');
+    const window = BrowserWindow.fromWebContents(webContents);
+    if (!window) return;
+    deviceListViewers.add(webContents);
+    const release = () => {
+        if (!deviceListViewers.delete(webContents)) return;
+        window.removeListener('hide', release);
+        updateDevicePolling();
+    };
+    // The settings windows are hidden rather than closed in some paths
+    window.once('hide', release);
+    window.once('closed', release);
+    updateDevicePolling();
+}
+
+/**
+ * Keep a recording going when its input device disappears: switch to the configured
+ * fallback device and continue into the same file (AudioRecorder adds a marker).
+ * @param {string} reason - 'device-removed' (watcher) or 'capture-lost' (FFmpeg exited)
+ */
+async function failoverToFallbackDevice(reason) {
+    if (isFailingOver || !audioRecorder || !getState().isRecording) return;
+    isFailingOver = true;
+    const lost = audioRecorder.settings.inputDevice;
+    const fallback = store.get('fallbackInputDevice') || DEFAULT_FALLBACK_DEVICE;
+    try {
+        if (isSameDevice(lost, fallback) || !deviceWatcher.isPresent(fallback)) {
+            throw new Error('Fallback input device is not available');
+        }
+        console.log(`[failoverToFallbackDevice] ${lost.name || lost.type} lost (${reason}), switching to ${fallback.name || fallback.type}`);
+        setState({ statusMessage: `Input device lost, switching to ${fallback.name || 'the default microphone'}...` });
+        await audioRecorder.switchInputDevice(fallback, { reason });
+        // The new device gets its own dead-input grace period
+        if (healthMonitor) healthMonitor.restart();
+        setState({ statusMessage: getState().isPaused ? 'Paused' : 'Recording...' });
+    } catch (error) {
+        console.error('[failoverToFallbackDevice] Failover failed:', error);
+        setState({ statusMessage: `Input device lost: ${error.message}` });
+        require('electron').dialog.showErrorBox('Recording Error',
+            `The input device ${lost.name || ''} was disconnected and the fallback device could not be used: ${error.message}. Stop the recording to keep what was captured.`);
+    } finally {
+        isFailingOver = false;
+    }
+}
+
+function attachRecorderListeners(recorder) {
+    recorder.on('audioData', (data) => {
+        if (recorder !== audioRecorder) return;
+        // Only the latest chunk is kept; startAudioVisualization() sends it at the frame rate
+        latestVisualizationFrame = data;
+        if (healthMonitor) healthMonitor.update({ ...data.input, paused: data.paused });
+    });
+    recorder.on('error', (error) => {
+        setState({ statusMessage: `Audio error: ${error.message}` });
+        console.error('[recording] AudioRecorder error:', error);
+    });
+    recorder.on('captureLost', () => failoverToFallbackDevice('capture-lost'));
+    // Silence pauses and resumes happen inside the recorder; mirror them in the app state
+    recorder.on('paused', ({ reason }) => {
+        if (reason === 'silence') setState({ isPaused: true, statusMessage: 'Paused (silence)' });
+    });
+    recorder.on('resumed', ({ reason }) => {
+        if (reason === 'silence') setState({ isPaused: false, statusMessage: 'Recording...' });
+    });
+    recorder.on('silenceAutoStop', ({ silentFor }) => startAutoStopCountdown(silentFor));
+    recorder.on('silenceEnded', () => cancelAutoStop('sound'));
+    recorder.on('marker', (marker) => {
+        if (recorder === audioRecorder && marker.type === 'user') {
+            setState({ markerCount: audioRecorder.getMarkers().filter(m => m.type === 'user').length });
+        }
+    });
+    // A stored device found under a new index or name (or saved before uids) is saved as found
+    recorder.on('deviceResolved', (device) => {
+        if (recorder === audioRecorder) store.set('inputDevice', device);
+    });
+}
+
+// Each meeting records its segments and manifest into <userData>/recordings/<meetingId>
+function getRecordingsDir() {
+    const baseDir = store.path ? path.dirname(store.path) : require('electron').app.getPath('userData');
+    return path.join(baseDir, 'recordings');
+}
+
+// The directory of the running recording, or of one waiting in the upload queue
+function isRecordingDirectoryActive(directory) {
+    if (uploadQueue && uploadQueue.has(directory)) return true;
+    return !!(recordingDirectory && getState().isRecording && path.resolve(directory) === path.resolve(recordingDirectory));
 }
 
 function initializeAudioRecorder() {
     try {
         const settings = {
-            inputDevice: store.get('inputDevice') || { type: 'mic', index: 0, name: 'Default Microphone' }
+            inputDevice: store.get('inputDevice') || { type: 'mic', index: 0, name: 'Default Microphone' },
+            processing: store.get('processing') || {},
+            output: store.get('output') || {},
+            dualSource: store.get('dualSource') || { enabled: false },
+            silence: store.get('silence') || {},
+            spectrum: store.get('visualization.spectrum') || { enabled: false }
         };
         console.log('[initializeAudioRecorder] Initializing with settings:', settings);
         if (audioRecorder) {
@@ -38,13 +234,7 @@ function initializeAudioRecorder() {
             }
         }
         audioRecorder = new AudioRecorder(settings);
-        audioRecorder.on('audioData', (data) => {
-            // Visualization handled here, UI should subscribe if needed
-        });
-        audioRecorder.on('error', (error) => {
-            setState({ statusMessage: `Audio error: ${error.message}` });
-            console.error('[initializeAudioRecorder] AudioRecorder error:', error);
-        });
+        attachRecorderListeners(audioRecorder);
         console.log('[initializeAudioRecorder] AudioRecorder initialized:', !!audioRecorder);
     } catch (error) {
         setState({ statusMessage: `Failed to initialize audio recorder: ${error.message}` });
@@ -52,7 +242,12 @@ function initializeAudioRecorder() {
     }
 }
 
-async function startRecording() {
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.transcription] - This meeting's language, features and speaker count,
+ *   over the `transcription` defaults
+ */
+async function startRecording({ transcription } = {}) {
     initializeAudioRecorder();
 
     const state = getState();
@@ -60,16 +255,201 @@ async function startRecording() {
     if (state.isRecording) {
         throw new Error('Recording is already in progress');
     }
+    if (state.isImporting) throw new Error('Wait for the file import to finish');
+    // A dual-source setup without a usable loopback device fails before a meeting is created
+    if (audioRecorder.isDualSource()) audioRecorder.getSystemDevice();
     const today = new Date();
     const title = `Meeting ${String(today.getMonth() + 1).padStart(2, '0')}/${String(today.getDate()).padStart(2, '0')}/${today.getFullYear()}`;
-    if (!tempRecordingPath) {
-        const baseDir = store.path ? path.dirname(store.path) : require('electron').app.getPath('userData');
-        tempRecordingPath = path.join(baseDir, TEMP_RECORDING_FILENAME);
-    }
     const meeting = await mishiService.startRecordingSession(title, state.user.id);
     if (!meeting) throw new Error('Failed to create meeting session');
-    await audioRecorder.startRecording(tempRecordingPath);
-    setState({ isRecording: true, statusMessage: 'Recording...', currentMeeting: meeting });
+    recordingDirectory = path.join(getRecordingsDir(), meeting.id);
+    // The segments are joined into this file on stop, named after what is actually encoded (.opus, .wav or .flac)
+    tempRecordingPath = withFormatExtension(path.join(recordingDirectory, TEMP_RECORDING_FILENAME), audioRecorder.getOutputFormat());
+    recordingTranscription = resolveTranscriptionOptions(store.get('transcription') || {}, transcription);
+    await audioRecorder.startRecording(recordingDirectory, {
+        segmentDuration: store.get('recording.segmentDuration', DEFAULT_SEGMENT_DURATION),
+        // In the manifest too, so a recovered recording is transcribed the same way
+        metadata: { meetingId: meeting.id, title, transcription: recordingTranscription }
+    });
+    setState({ isRecording: true, isPaused: false, statusMessage: 'Recording...', currentMeeting: meeting });
+    updateDevicePolling();
+    startHealthMonitor();
+    startAudioVisualization();
+    registerMarkerShortcut();
+}
+
+/**
+ * Flag a moment of the running recording. Markers are kept by the recorder (and in the
+ * manifest, for recovery) and saved to the meeting's recording_metadata after stop.
+ * @param {{label?: string}} [options]
+ * @returns {{type: 'user', label: string|null, at: string, offset: number}|null} Null when not recording
+ */
+function addRecordingMarker({ label } = {}) {
+    if (!audioRecorder || !getState().isRecording) return null;
+    const text = typeof label === 'string' ? label.trim() : '';
+    const marker = audioRecorder.addMarker({ type: 'user', label: text || null });
+    if (marker) console.log(`[addRecordingMarker] Marker at ${marker.offset.toFixed(1)}s${marker.label ? `: ${marker.label}` : ''}`);
+    return marker;
+}
+
+// The global hotkey only exists while recording, so it doesn't take the keys away from other apps otherwise
+function registerMarkerShortcut() {
+    const { globalShortcut } = require('electron');
+    unregisterMarkerShortcut();
+    const accelerator = store.get('shortcuts.addMarker', DEFAULT_MARKER_SHORTCUT);
+    if (!accelerator) return;
+    try {
+        if (globalShortcut.register(accelerator, () => addRecordingMarker())) {
+            markerShortcut = accelerator;
+        } else {
+            console.warn(`[registerMarkerShortcut] ${accelerator} is in use by another application`);
+        }
+    } catch (error) {
+        console.error(`[registerMarkerShortcut] Invalid shortcut ${accelerator}:`, error);
+    }
+}
+
+function unregisterMarkerShortcut() {
+    if (!markerShortcut) return;
+    require('electron').globalShortcut.unregister(markerShortcut);
+    markerShortcut = null;
+}
+
+/**
+ * Check the input of the new recording for a dead mic, clipping and a low level.
+ * Warnings go to state.healthWarnings (the recording bar's badge) and, once each per
+ * recording, to a native notification.
+ */
+function startHealthMonitor() {
+    stopHealthMonitor();
+    const notified = new Set();
+    healthMonitor = new RecordingHealthMonitor(store.get('health'), {
+        silenceThreshold: resolveSilenceRules(store.get('silence')).threshold
+    });
+    healthMonitor.on('warning', (warning) => {
+        console.warn(`[health] ${warning.type}: ${warning.message}`);
+        setState({ healthWarnings: healthMonitor.getWarnings() });
+        if (notified.has(warning.type)) return;
+        notified.add(warning.type);
+        const { Notification } = require('electron');
+        if (Notification.isSupported()) {
+            new Notification({ title: 'Check your microphone', body: warning.message }).show();
+        }
+    });
+    healthMonitor.on('cleared', ({ type }) => {
+        console.log(`[health] ${type} cleared`);
+        setState({ healthWarnings: healthMonitor.getWarnings() });
+    });
+}
+
+function stopHealthMonitor() {
+    if (!healthMonitor) return;
+    healthMonitor.removeAllListeners();
+    healthMonitor = null;
+    setState({ healthWarnings: [] });
+}
+
+function pauseRecording() {
+    const state = getState();
+    if (!state.isRecording || state.isPaused) return false;
+    if (!audioRecorder || !audioRecorder.pause()) return false;
+    setState({ isPaused: true, statusMessage: 'Paused' });
+    return true;
+}
+
+function resumeRecording() {
+    const state = getState();
+    if (!state.isRecording || !state.isPaused) return false;
+    if (!audioRecorder || !audioRecorder.resume()) return false;
+    setState({ isPaused: false, statusMessage: 'Recording...' });
+    return true;
+}
+
+/**
+ * Warn that a silent recording is about to stop and stop it when the countdown runs
+ * out. Sound coming back, the notification, the tray or the recording bar cancel it.
+ * @param {number} silentFor - Seconds of silence so far
+ */
+function startAutoStopCountdown(silentFor) {
+    if (autoStopTimer || !getState().isRecording) return;
+    const { countdown } = resolveSilenceRules(store.get('silence')).autoStop;
+    const minutes = Math.round(silentFor / 60);
+    console.log(`[startAutoStopCountdown] ${minutes} min of silence, stopping in ${countdown}s`);
+
+    autoStopTimer = setTimeout(() => {
+        autoStopTimer = null;
+        closeAutoStopNotification();
+        setState({ autoStopAt: null });
+        stopRecording().catch(error => {
+            console.error('[startAutoStopCountdown] Auto-stop failed:', error);
+            setState({ statusMessage: `Error: ${error.message}` });
+        });
+    }, countdown * 1000);
+    setState({ autoStopAt: new Date(Date.now() + countdown * 1000).toISOString() });
+
+    const { Notification } = require('electron');
+    if (Notification.isSupported()) {
+        autoStopNotification = new Notification({
+            title: 'Recording will stop',
+            body: `No sound for ${minutes} minutes. The recording stops in ${countdown} seconds; click to keep recording.`,
+        });
+        autoStopNotification.on('click', () => cancelAutoStop('user'));
+        autoStopNotification.show();
+    }
+}
+
+function closeAutoStopNotification() {
+    if (autoStopNotification) {
+        autoStopNotification.close();
+        autoStopNotification = null;
+    }
+}
+
+/**
+ * Cancel a pending silence auto-stop
+ * @param {string} [reason] - 'user', 'sound' or 'stopped'
+ * @returns {boolean} False if none was pending
+ */
+function cancelAutoStop(reason = 'user') {
+    if (!autoStopTimer) return false;
+    clearTimeout(autoStopTimer);
+    autoStopTimer = null;
+    closeAutoStopNotification();
+    console.log(`[cancelAutoStop] Auto-stop cancelled (${reason})`);
+    setState({ autoStopAt: null });
+    return true;
+}
+
+// Drop the silent tail from the joined file, keeping trimTrailing.keep seconds of it
+async function trimTrailingSilence(filePath) {
+    const { trimTrailing } = resolveSilenceRules(store.get('silence'));
+    const trailing = audioRecorder.getTrailingSilence();
+    if (!trimTrailing.enabled || trailing <= trimTrailing.keep) return 0;
+
+    const trimmed = trailing - trimTrailing.keep;
+    try {
+        await trimAudioFile(filePath, audioRecorder.getRecordedDuration() - trimmed);
+        console.log(`[trimTrailingSilence] Trimmed ${trimmed.toFixed(1)}s of trailing silence`);
+        return trimmed;
+    } catch (error) {
+        // Uploading the untrimmed file is better than not uploading
+        console.error('[trimTrailingSilence] Failed to trim trailing silence:', error);
+        return 0;
+    }
+}
+
+// Pause intervals and markers have no columns of their own; they go into meetings.recording_metadata
+async function saveRecordingMetadata(meetingId, { trimmedSilence = 0 } = {}) {
+    try {
+        await mishiService.updateRecordingMetadata(meetingId, {
+            recordedDuration: audioRecorder.getRecordedDuration() - trimmedSilence,
+            trimmedSilence,
+            pauses: audioRecorder.getPauseIntervals(),
+            markers: audioRecorder.getMarkers()
+        });
+    } catch (error) {
+        console.error('[saveRecordingMetadata] Failed to save recording metadata:', error);
+    }
 }
 
 function cleanupTempFile(filePath, reason) {
@@ -79,62 +459,89 @@ function cleanupTempFile(filePath, reason) {
     }
 }
 
+function cleanupRecordingDirectory(directory, reason) {
+    if (!directory) return;
+    console.log(`[cleanupRecordingDirectory] Removing ${directory}: ${reason}`);
+    fs.rm(directory, { recursive: true, force: true }, () => {});
+}
+
 function cleanupRecording() {
     if (audioRecorder) {
         try {
             audioRecorder.stopRecording().catch(() => {});
         } catch {}
     }
-    setState({ isRecording: false, statusMessage: 'Idle', transcriptionStatus: null });
-    if (tempRecordingPath) cleanupTempFile(tempRecordingPath, 'Force cleanup');
+    cancelAutoStop('stopped');
+    stopHealthMonitor();
+    stopAudioVisualization();
+    unregisterMarkerShortcut();
+    setState({ isRecording: false, isPaused: false, markerCount: 0, statusMessage: 'Idle', transcriptionStatus: null });
+    updateDevicePolling();
+    // A recording waiting in the upload queue, or still being joined, is kept
+    if (tempRecordingPath && !isFinalizingRecording && !(uploadQueue && uploadQueue.has(path.dirname(tempRecordingPath)))) {
+        cleanupTempFile(tempRecordingPath, 'Force cleanup');
+    }
 }
 
 async function stopRecording() {
-    if (isStoppingRecording) return;
+    if (isStoppingRecording) {
+        console.log('[stopRecording] A stop is already in progress');
+        return;
+    }
     isStoppingRecording = true;
-    setState({ statusMessage: 'Stopping recording...' });
-    if (stopRecordingTimeout) clearTimeout(stopRecordingTimeout);
-    stopRecordingTimeout = setTimeout(() => {
-        cleanupRecording();
-    }, 30000);
-    const state = getState();
-    if (!state.currentMeeting) throw new Error('No active meeting session');
-    if (!audioRecorder) throw new Error('Audio recorder not initialized');
-    await audioRecorder.stopRecording();
-    setState({ isRecording: false });
-    if (!tempRecordingPath) throw new Error('Recording path not set');
-    await new Promise((resolve, reject) => {
-        let attempts = 0;
-        const maxAttempts = 50;
-        const checkFile = async () => {
-            try {
-                const stats = await fs.promises.stat(tempRecordingPath);
-                if (stats.size > 0) {
-                    await new Promise(res => setTimeout(res, 1000));
-                    resolve();
-                    return;
-                }
-                attempts++;
-                if (attempts >= maxAttempts) {
-                    reject(new Error('Timeout waiting for file to be written after max attempts'));
-                    return;
-                }
-                setTimeout(checkFile, 100);
-            } catch (error) {
-                if (error.code === 'ENOENT') {
-                    attempts++;
-                    if (attempts >= maxAttempts) {
-                        reject(new Error('File not found after max attempts'));
-                        return;
-                    }
-                    setTimeout(checkFile, 100);
-                } else {
-                    reject(error);
-                }
-            }
-        };
-        checkFile();
-    });
+    try {
+        setState({ statusMessage: 'Stopping recording...' });
+        if (stopRecordingTimeout) clearTimeout(stopRecordingTimeout);
+        stopRecordingTimeout = setTimeout(() => {
+            cleanupRecording();
+        }, 30000);
+        const state = getState();
+        if (!state.currentMeeting) throw new Error('No active meeting session');
+        if (!audioRecorder) throw new Error('Audio recorder not initialized');
+        cancelAutoStop('stopped');
+        stopHealthMonitor();
+        stopAudioVisualization();
+        unregisterMarkerShortcut();
+        await audioRecorder.stopRecording();
+        // The timeout only covers the capture shutdown; joining a long meeting can take longer
+        clearTimeout(stopRecordingTimeout);
+        stopRecordingTimeout = null;
+        setState({ isRecording: false, isPaused: false, markerCount: 0 });
+        updateDevicePolling();
+        if (!tempRecordingPath || !recordingDirectory) throw new Error('Recording path not set');
+        // Join the rolling segments into the single file that gets uploaded
+        let trimmedSilence;
+        isFinalizingRecording = true;
+        try {
+            await concatenateSegments(recordingDirectory, tempRecordingPath);
+            trimmedSilence = await trimTrailingSilence(tempRecordingPath);
+        } finally {
+            isFinalizingRecording = false;
+        }
+        await saveRecordingMetadata(state.currentMeeting.id, { trimmedSilence });
+        const audioFormat = audioRecorder.getOutputFormat();
+        // Once the job is saved in the queue the stop is done; the upload runs on its own and
+        // reports through the status message and the queue's failure notification
+        await enqueueUpload({
+            meetingId: state.currentMeeting.id,
+            title: state.currentMeeting.title,
+            filePath: tempRecordingPath,
+            directory: recordingDirectory,
+            audioFormat,
+            transcription: recordingTranscription
+        });
+    } finally {
+        // A failed stop mustn't block the next one
+        if (stopRecordingTimeout) {
+            clearTimeout(stopRecordingTimeout);
+            stopRecordingTimeout = null;
+        }
+        isStoppingRecording = false;
+    }
+}
+
+// Make sure the session is valid (and fresh) before uploading
+async function refreshSession() {
     const authCheckPromise = supabase.auth.getSession();
     const authTimeout = new Promise((_, reject) => {
         setTimeout(() => reject(new Error('Authentication check timed out after 5 seconds')), 5000);
@@ -145,35 +552,205 @@ async function stopRecording() {
     const { data: { session: refreshedSession }, error: refreshError } = await supabase.auth.refreshSession();
     if (refreshError) throw refreshError;
     if (!refreshedSession) throw new Error('Session refresh failed');
-    const audioBlob = await fs.promises.readFile(tempRecordingPath);
-    if (stopRecordingTimeout) {
-        clearTimeout(stopRecordingTimeout);
-        stopRecordingTimeout = null;
+}
+
+/**
+ * Check a recording and hand it to the upload queue, which saves it, tries it right away and
+ * keeps retrying (across restarts) until it is sent, cancelled or out of attempts
+ * @param {{meetingId: string, title?: string, filePath: string, directory: string, audioFormat: Object, transcription?: Object}} recording
+ * @returns {Promise<{firstAttempt: Promise<boolean>}>} Resolves once the job is queued; firstAttempt
+ *   resolves with whether it was sent right away
+ */
+async function enqueueUpload(recording) {
+    await verifyAudioFile(recording.filePath, recording.audioFormat.format);
+    const firstAttempt = uploadQueue.enqueue(recording).then((sent) => {
+        if (!sent) {
+            const waiting = getState().uploadQueue.length;
+            setState({ statusMessage: `Upload queued; it will be retried (${waiting} waiting)` });
+        }
+        return sent;
+    });
+    return { firstAttempt };
+}
+
+/**
+ * enqueueUpload() and wait for the first attempt
+ * @returns {Promise<boolean>} Whether it was sent on the first attempt; false if it is waiting in the queue
+ */
+async function queueUpload(recording) {
+    const { firstAttempt } = await enqueueUpload(recording);
+    return firstAttempt;
+}
+
+/**
+ * Send a recording to its meeting for transcription and follow the status. The recording
+ * directory is removed once sent. Run by the upload queue, which keeps the files and
+ * retries when this throws.
+ */
+async function sendForTranscription({ id, meetingId, filePath, directory, audioFormat, transcription, uploadUrl }) {
+    await refreshSession();
+    const { size } = await fs.promises.stat(filePath);
+    setState({
+        statusMessage: 'Uploading recording...',
+        uploadProgress: { meetingId, sent: 0, total: size, rate: null, eta: null }
+    });
+    const onUploadProgress = createUploadProgress((progress) => {
+        setState({
+            uploadProgress: { meetingId, ...progress },
+            statusMessage: progress.sent >= progress.total ? 'Transcribing...' : `Uploading ${formatUploadProgress(progress)}`
+        });
+    });
+    const subscription = mishiService.subscribeToTranscriptionStatus(
+        meetingId,
+        async (status, updatedMeeting) => {
+            setState({
+                transcriptionStatus: status,
+                statusMessage: status === 'completed' ? 'Transcription completed' : status === 'error' ? 'Transcription failed' : `Processing transcription (${status})`
+            });
+            if (updatedMeeting) {
+                setState({ currentMeeting: updatedMeeting });
+            }
+            if (status === 'completed' || status === 'error') {
+                subscription();
+            }
+        }
+    );
+    try {
+        await mishiService.transcribeAudio(filePath, meetingId, [], {
+            audioFormat,
+            onUploadProgress,
+            // Picks up where the last attempt (or the last run of the app) left off
+            uploadUrl,
+            onUploadUrl: url => uploadQueue.setUploadUrl(id, url),
+            // Jobs queued without options (older queue files) use the current defaults
+            transcription: resolveTranscriptionOptions(store.get('transcription') || {}, transcription)
+        });
+    } catch (error) {
+        subscription();
+        throw error;
+    } finally {
+        setState({ uploadProgress: null });
     }
-    setState({ statusMessage: 'Transcribing...' });
+    cleanupRecordingDirectory(directory, 'Recording sent for transcription');
+}
+
+/**
+ * Try a queued upload again now
+ * @param {string} id - Job id from state.uploadQueue (the meeting ID)
+ */
+function retryUpload(id) {
+    return uploadQueue ? uploadQueue.retry(id) : false;
+}
+
+/**
+ * Give up on a queued upload after confirming with the user; the recording is deleted
+ * @param {string} id - Job id from state.uploadQueue
+ * @returns {Promise<boolean>} False if the user kept it
+ */
+async function cancelUpload(id) {
+    const job = uploadQueue && uploadQueue.getJobs().find(j => j.id === id);
+    if (!job) return false;
+    const { dialog } = require('electron');
+    const { response } = await dialog.showMessageBox({
+        type: 'warning',
+        buttons: ['Cancel Upload', 'Keep Trying'],
+        defaultId: 1,
+        cancelId: 1,
+        message: `Cancel the upload of "${job.title || 'this recording'}"?`,
+        detail: 'The recording will be deleted and the meeting will not be transcribed.',
+    });
+    if (response !== 0) return false;
+
+    const removed = uploadQueue.remove(id);
+    if (removed) cleanupRecordingDirectory(removed.directory, 'Upload cancelled by user');
+    return !!removed;
+}
+
+/**
+ * Upload an already joined recording file to an existing meeting (used for recovered recordings)
+ * @param {{meetingId: string, title?: string, filePath: string, directory: string, audioFormat: Object, transcription?: Object}} recording
+ * @returns {Promise<boolean>} Whether it was sent right away; false if it waits in the upload queue
+ */
+async function uploadRecording(recording) {
+    return queueUpload(recording);
+}
+
+/**
+ * Transcribe an audio or video file recorded elsewhere. It is transcoded to the upload
+ * format and sent like a recording made here, to a new meeting named after the file or
+ * to the current one.
+ * @param {{filePath?: string, target?: 'new'|'current', transcription?: Object}} [options] - Without a filePath
+ *   the user picks one; transcription overrides the `transcription` defaults for this meeting
+ * @returns {Promise<boolean>} Whether the file was sent; false if the user cancelled the dialog or
+ *   the upload waits in the queue
+ */
+async function importRecording({ filePath, target = 'new', transcription } = {}) {
+    const state = getState();
+    if (!state.isLoggedIn) throw new Error('Please log in first');
+    if (state.isRecording) throw new Error('Stop the current recording before importing a file');
+    if (state.isImporting) throw new Error('Another file is already being imported');
+    if (target === 'current' && !state.currentMeeting) throw new Error('No active meeting session');
+
+    if (!filePath) {
+        const { dialog } = require('electron');
+        const { canceled, filePaths } = await dialog.showOpenDialog({
+            title: 'Import Recording',
+            properties: ['openFile'],
+            filters: IMPORT_FILE_FILTERS,
+        });
+        if (canceled || filePaths.length === 0) return false;
+        filePath = filePaths[0];
+    }
+    if (!isImportableFile(filePath)) throw new Error(`${path.basename(filePath)} is not an audio or video file`);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+
+    const name = path.basename(filePath);
+    setState({ isImporting: true, statusMessage: `Importing ${name}...` });
+    let directory = null;
     try {
-        const subscription = mishiService.subscribeToTranscriptionStatus(
-            state.currentMeeting.id,
-            async (status, updatedMeeting) => {
-                setState({
-                    transcriptionStatus: status,
-                    statusMessage: status === 'completed' ? 'Transcription completed' : status === 'error' ? 'Transcription failed' : `Processing transcription (${status})`
-                });
-                if (updatedMeeting) {
-                    setState({ currentMeeting: updatedMeeting });
-                }
-                if (status === 'completed' || status === 'error') {
-                    subscription();
-                }
-            }
-        );
-        await mishiService.transcribeAudio(audioBlob, state.currentMeeting.id);
-        cleanupTempFile(tempRecordingPath, 'Recording sent for transcription');
-    } catch (transcriptionError) {
-        setState({ statusMessage: `Error: ${transcriptionError.message}`, transcriptionStatus: 'error' });
-        cleanupTempFile(tempRecordingPath, 'Transcription error cleanup');
+        const meeting = target === 'current'
+            ? state.currentMeeting
+            : await mishiService.startRecordingSession(path.parse(filePath).name, state.user.id);
+        if (!meeting) throw new Error('Failed to create meeting session');
+        setState({ currentMeeting: meeting });
+
+        // Imports are mixed down to mono whatever the capture settings
+        const audioFormat = { ...resolveOutputSettings(store.get('output') || {}), channels: 1, channelMode: 'mono' };
+        directory = path.join(getRecordingsDir(), meeting.id);
+        const outputPath = withFormatExtension(path.join(directory, TEMP_RECORDING_FILENAME), audioFormat);
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        let percent = -1;
+        const { duration } = await transcodeForUpload(filePath, outputPath, audioFormat, (progress) => {
+            if (Math.floor(progress * 100) === percent) return;
+            percent = Math.floor(progress * 100);
+            setState({ statusMessage: `Importing ${name} (${percent}%)` });
+        });
+
+        try {
+            await mishiService.updateRecordingMetadata(meeting.id, {
+                source: 'import',
+                importedFile: name,
+                ...(duration !== null ? { recordedDuration: duration } : {})
+            });
+        } catch (error) {
+            console.error('[importRecording] Failed to save recording metadata:', error);
+        }
+
+        setState({ isImporting: false });
+        return await queueUpload({
+            meetingId: meeting.id,
+            title: meeting.title,
+            filePath: outputPath,
+            directory,
+            audioFormat,
+            transcription: resolveTranscriptionOptions(store.get('transcription') || {}, transcription)
+        });
+    } catch (error) {
+        setState({ isImporting: false, statusMessage: `Import failed: ${error.message}` });
+        cleanupRecordingDirectory(directory, 'Import failed');
+        throw error;
     }
-    isStoppingRecording = false;
 }
 
 async function updateAudioDevice(newSettings) {
@@ -185,7 +762,14 @@ async function updateAudioDevice(newSettings) {
         }
         store.set('inputDevice', newSettings);
         audioRecorder = null;
-        newRecorder = new AudioRecorder({ inputDevice: newSettings });
+        newRecorder = new AudioRecorder({
+            inputDevice: newSettings,
+            processing: store.get('processing') || {},
+            output: store.get('output') || {},
+            dualSource: store.get('dualSource') || { enabled: false },
+            silence: store.get('silence') || {},
+            spectrum: store.get('visualization.spectrum') || { enabled: false }
+        });
         await new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
                 newRecorder.removeAllListeners();
@@ -202,10 +786,7 @@ async function updateAudioDevice(newSettings) {
             newRecorder.once('ready', readyHandler);
         });
         audioRecorder = newRecorder;
-        audioRecorder.on('audioData', (data) => {});
-        audioRecorder.on('error', (error) => {
-            setState({ statusMessage: `Audio error: ${error.message}` });
-        });
+        attachRecorderListeners(audioRecorder);
         if (oldRecorder) {
             try { oldRecorder.removeAllListeners(); } catch {}
             oldRecorder = null;
@@ -225,13 +806,22 @@ async function updateAudioDevice(newSettings) {
     }
 }
 
+/**
+ * Publish the latest chunk's level, with the waveform of the last samples, to the
+ * subscribed windows (see visualization.js) at visualization.frameRate frames per second.
+ * Hidden and minimized windows get nothing; the waveform is only built for windows that draw it.
+ */
 function startAudioVisualization() {
     if (audioVisualizationInterval) return;
+    const frameRate = Math.min(60, Math.max(1, store.get('visualization.frameRate', DEFAULT_VISUALIZATION_FRAME_RATE)));
     audioVisualizationInterval = setInterval(() => {
-        if (getState().isRecording && audioRecorder) {
-            // Visualization data can be emitted here
-        }
-    }, 50);
+        const data = latestVisualizationFrame;
+        if (!data || !audioRecorder || !visualization.hasSubscribers()) return;
+        latestVisualizationFrame = null;
+        const { level, paused, levels, spectrum } = data;
+        visualization.publish({ level, paused, ...(levels ? { levels } : {}), ...(spectrum ? { spectrum } : {}) },
+            (points) => audioRecorder.getVisualizationData(points));
+    }, Math.round(1000 / frameRate));
 }
 
 function stopAudioVisualization() {
@@ -239,6 +829,7 @@ function stopAudioVisualization() {
         clearInterval(audioVisualizationInterval);
         audioVisualizationInterval = null;
     }
+    latestVisualizationFrame = null;
 }
 
 module.exports = {
@@ -246,9 +837,21 @@ module.exports = {
     initializeAudioRecorder,
     startRecording,
     stopRecording,
+    pauseRecording,
+    resumeRecording,
+    cancelAutoStop,
+    addRecordingMarker,
     cleanupTempFile,
+    cleanupRecordingDirectory,
     cleanupRecording,
+    uploadRecording,
+    importRecording,
+    retryUpload,
+    cancelUpload,
+    isRecordingDirectoryActive,
+    getRecordingsDir,
     updateAudioDevice,
+    watchDevicesFor,
     startAudioVisualization,
     stopAudioVisualization,
 };
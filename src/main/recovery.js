@@ -0,0 +1,288 @@
+// Finds recordings left behind by a crash or a failed upload and lets the user
+// upload them to their original meeting, save them elsewhere, or discard them.
+const fs = require('fs');
+const path = require('path');
+const { app, dialog } = require('electron');
+const recordingService = require('./recording');
+const { readManifest, writeManifest, concatenateSegments } = require('./segmentedWriter');
+const { repairWavHeader } = require('./wavWriter');
+const { OUTPUT_FORMATS, resolveOutputSettings, withFormatExtension } = require('./outputFormats');
+
+let store, mishiService, getState, setState, TEMP_RECORDING_FILENAME;
+let hasPrompted = false;
+
+function initRecoveryService({ store: s, mishiService: m, getState: gs, setState: ss, TEMP_RECORDING_FILENAME: tempFile }) {
+    store = s;
+    mishiService = m;
+    getState = gs;
+    setState = ss;
+    TEMP_RECORDING_FILENAME = tempFile;
+    return scanForOrphanedRecordings()
+        .then(async (orphans) => {
+            // Login may have finished before the scan did
+            if (getState().isLoggedIn) await promptForOrphanedRecordings();
+            return orphans;
+        })
+        .catch(error => {
+            console.error('[recovery] Failed to scan for orphaned recordings:', error);
+            return [];
+        });
+}
+
+function getBaseDir() {
+    return store.path ? path.dirname(store.path) : app.getPath('userData');
+}
+
+// Single temp file from before recordings were kept per meeting; it has no meeting ID
+function findLegacyRecording() {
+    const base = path.join(getBaseDir(), TEMP_RECORDING_FILENAME);
+    for (const format of Object.keys(OUTPUT_FORMATS)) {
+        const filePath = withFormatExtension(base, { extension: OUTPUT_FORMATS[format].extension });
+        try {
+            const { size, mtime } = fs.statSync(filePath);
+            if (size > 0) {
+                return {
+                    id: 'legacy',
+                    directory: null,
+                    filePath,
+                    meetingId: null,
+                    title: 'Unsaved recording',
+                    createdAt: mtime.toISOString(),
+                    interrupted: true,
+                    format,
+                };
+            }
+        } catch {}
+    }
+    return null;
+}
+
+// Segments that actually hold audio, with sizes taken from disk (the manifest lags behind a crash)
+async function collectSegments(directory, manifest) {
+    const segments = [];
+    for (const segment of manifest.segments || []) {
+        try {
+            const { size } = await fs.promises.stat(path.join(directory, segment.file));
+            if (size > 0) segments.push({ ...segment, bytes: size });
+        } catch {}
+    }
+    return segments;
+}
+
+/**
+ * Look for recordings that were never uploaded: directories under getRecordingsDir()
+ * whose manifest is still 'recording' (the app died mid-meeting) or 'stopped' (the
+ * upload failed), plus the legacy temp file. Updates state.orphanedRecordings.
+ * @returns {Promise<Array<{id: string, directory: string|null, meetingId: string|null, title: string,
+ *   createdAt: string, interrupted: boolean, format: string}>>}
+ */
+async function scanForOrphanedRecordings() {
+    const recordingsDir = recordingService.getRecordingsDir();
+    const entries = await fs.promises.readdir(recordingsDir, { withFileTypes: true }).catch(() => []);
+    const orphans = [];
+
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        const directory = path.join(recordingsDir, entry.name);
+        if (recordingService.isRecordingDirectoryActive(directory)) continue;
+
+        let manifest;
+        try {
+            manifest = await readManifest(directory);
+        } catch {
+            continue;
+        }
+
+        const segments = await collectSegments(directory, manifest);
+        if (segments.length === 0) {
+            recordingService.cleanupRecordingDirectory(directory, 'Leftover recording has no audio');
+            continue;
+        }
+
+        orphans.push({
+            id: entry.name,
+            directory,
+            filePath: null,
+            meetingId: manifest.meetingId || null,
+            title: manifest.title || 'Untitled meeting',
+            createdAt: manifest.createdAt,
+            interrupted: manifest.status === 'recording',
+            format: manifest.format ? manifest.format.format : 'wav',
+        });
+    }
+
+    const legacy = findLegacyRecording();
+    if (legacy) orphans.push(legacy);
+
+    console.log(`[recovery] Found ${orphans.length} orphaned recording(s)`);
+    setState({ orphanedRecordings: orphans });
+    return orphans;
+}
+
+function findOrphan(id) {
+    const orphan = (getState().orphanedRecordings || []).find(o => o.id === id);
+    if (!orphan) throw new Error(`No orphaned recording ${id}`);
+    return orphan;
+}
+
+/**
+ * Repair an orphan's files and join them into one playable file: truncated WAV
+ * headers are patched, empty or missing segments dropped, and the manifest marked 'recovered'.
+ * @returns {Promise<string>} Path of the joined file
+ */
+async function prepareRecording(orphan) {
+    if (!orphan.directory) {
+        if (orphan.format === 'wav') await repairWavHeader(orphan.filePath);
+        return orphan.filePath;
+    }
+
+    const manifest = await readManifest(orphan.directory);
+    const segments = await collectSegments(orphan.directory, manifest);
+    if (manifest.format && manifest.format.format === 'wav') {
+        for (const segment of segments) {
+            const { repaired, dataLength } = await repairWavHeader(path.join(orphan.directory, segment.file));
+            if (repaired) console.log(`[recovery] Repaired WAV header of ${segment.file} (${dataLength} bytes of audio)`);
+        }
+    }
+
+    writeManifest(orphan.directory, {
+        ...manifest,
+        status: 'recovered',
+        segments: segments.map(segment => ({ ...segment, completed: true })),
+    });
+
+    const outputPath = withFormatExtension(path.join(orphan.directory, TEMP_RECORDING_FILENAME), manifest.format);
+    return concatenateSegments(orphan.directory, outputPath);
+}
+
+/**
+ * Upload an orphaned recording to the meeting it was recorded for
+ * @param {string} id - Orphan id from state.orphanedRecordings
+ * @returns {Promise<boolean>} Whether the recording was sent right away; false if it waits in the upload queue
+ */
+async function uploadOrphanedRecording(id) {
+    const orphan = findOrphan(id);
+    if (!orphan.meetingId) throw new Error('This recording is not linked to a meeting; save it instead.');
+    if (!getState().isLoggedIn) throw new Error('Please log in first');
+
+    const filePath = await prepareRecording(orphan);
+    const manifest = await readManifest(orphan.directory);
+    if (manifest.pauses || manifest.markers) {
+        try {
+            await mishiService.updateRecordingMetadata(orphan.meetingId, {
+                pauses: manifest.pauses || [],
+                markers: manifest.markers || []
+            });
+        } catch (error) {
+            console.error('[recovery] Failed to save recording metadata:', error);
+        }
+    }
+
+    const sent = await recordingService.uploadRecording({
+        meetingId: orphan.meetingId,
+        title: orphan.title,
+        filePath,
+        directory: orphan.directory,
+        audioFormat: { ...resolveOutputSettings(manifest.format), channelMode: manifest.channelMode || 'mono' },
+        transcription: manifest.transcription || null,
+    });
+    // Sent (the directory is being removed) or waiting in the upload queue, which owns it now
+    setState({ orphanedRecordings: getState().orphanedRecordings.filter(o => o.id !== id) });
+    return sent;
+}
+
+/**
+ * Ask where to save an orphaned recording, write it there and drop the leftover files
+ * @param {string} id
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+async function saveOrphanedRecording(id) {
+    const orphan = findOrphan(id);
+    const extension = OUTPUT_FORMATS[orphan.format] ? OUTPUT_FORMATS[orphan.format].extension : 'wav';
+    const safeTitle = orphan.title.replace(/[\\/:*?"<>|]/g, '-');
+    const { canceled, filePath } = await dialog.showSaveDialog({
+        title: 'Save Recording',
+        defaultPath: path.join(app.getPath('documents'), `${safeTitle}.${extension}`),
+    });
+    if (canceled || !filePath) return false;
+
+    const joined = await prepareRecording(orphan);
+    await fs.promises.copyFile(joined, filePath);
+    await removeOrphan(orphan, `Saved to ${filePath}`);
+    return true;
+}
+
+/**
+ * Delete an orphaned recording after confirming with the user
+ * @param {string} id
+ * @returns {Promise<boolean>} False if the user cancelled
+ */
+async function discardOrphanedRecording(id) {
+    const orphan = findOrphan(id);
+    const { response } = await dialog.showMessageBox({
+        type: 'warning',
+        buttons: ['Discard', 'Cancel'],
+        defaultId: 1,
+        cancelId: 1,
+        message: `Discard "${orphan.title}"?`,
+        detail: 'The recording will be deleted and cannot be recovered.',
+    });
+    if (response !== 0) return false;
+
+    await removeOrphan(orphan, 'Discarded by user');
+    return true;
+}
+
+async function removeOrphan(orphan, reason) {
+    if (orphan.directory) {
+        await fs.promises.rm(orphan.directory, { recursive: true, force: true });
+    } else {
+        await fs.promises.unlink(orphan.filePath).catch(() => {});
+    }
+    console.log(`[recovery] Removed orphaned recording ${orphan.id}: ${reason}`);
+    await scanForOrphanedRecordings();
+}
+
+/**
+ * Offer each orphaned recording to the user once per launch (after login, so uploads can work)
+ */
+async function promptForOrphanedRecordings() {
+    const state = getState();
+    if (hasPrompted || state.isRecording || !state.orphanedRecordings || state.orphanedRecordings.length === 0) return;
+    hasPrompted = true;
+
+    for (const orphan of state.orphanedRecordings) {
+        const actions = [
+            ...(orphan.meetingId ? [{ label: 'Upload to Meeting', run: uploadOrphanedRecording }] : []),
+            { label: 'Save As…', run: saveOrphanedRecording },
+            { label: 'Discard', run: discardOrphanedRecording },
+        ];
+        const laterId = actions.length;
+        const { response } = await dialog.showMessageBox({
+            type: 'question',
+            buttons: [...actions.map(action => action.label), 'Later'],
+            defaultId: 0,
+            cancelId: laterId,
+            message: `"${orphan.title}" was not uploaded`,
+            detail: `${orphan.interrupted ? 'The app closed while this meeting was being recorded.' : 'The upload of this recording did not finish.'}\n`
+                + `Recorded ${new Date(orphan.createdAt).toLocaleString()}. You can also find it later under "Recovered Recordings" in the tray menu.`,
+        });
+        if (response === laterId) continue;
+
+        try {
+            await actions[response].run(orphan.id);
+        } catch (error) {
+            console.error('[recovery] Failed to recover recording:', error);
+            dialog.showErrorBox('Recovery Error', `Failed to recover recording: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    initRecoveryService,
+    scanForOrphanedRecordings,
+    uploadOrphanedRecording,
+    saveOrphanedRecording,
+    discardOrphanedRecording,
+    promptForOrphanedRecordings,
+};
@@ -0,0 +1,168 @@
+// Resumable uploads to Supabase Storage over its TUS endpoint (/storage/v1/upload/resumable).
+// The file is read from disk one chunk at a time, so a long recording is never held in
+// memory, and a dropped connection resumes from the offset the server already has.
+const fs = require('fs');
+
+const TUS_VERSION = '1.0.0';
+// Supabase only accepts 6 MB chunks (except the last)
+const CHUNK_SIZE = 6 * 1024 * 1024;
+// Waits before each retry; any chunk that gets through starts the list over
+const RETRY_DELAYS = [0, 1000, 3000, 5000, 10000, 20000, 30000];
+// A request is given up once nothing has been sent or received for this long. It is not a
+// limit on the whole request, so a 6 MB chunk still gets through on a slow uplink.
+const STALL_TIMEOUT = 60000;
+// Once a chunk has been handed to the socket, the part still in its buffers goes out unseen;
+// waiting for the response allows for a send rate down to this (bytes per second)
+const MIN_UPLOAD_RATE = 16 * 1024;
+// Progress is reported every slice of a chunk, not just once per 6 MB
+const PROGRESS_SLICE_SIZE = 64 * 1024;
+
+function encodeMetadata(metadata) {
+    return Object.entries(metadata)
+        .map(([key, value]) => `${key} ${Buffer.from(String(value)).toString('base64')}`)
+        .join(',');
+}
+
+async function requestError(response, action) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(`Storage upload failed to ${action} (${response.status}): ${text || response.statusText}`);
+    error.status = response.status;
+    return error;
+}
+
+// Abort signal that fires after STALL_TIMEOUT (or the given wait) without a call to reset()
+function stallTimer() {
+    const controller = new AbortController();
+    let timer;
+    const reset = (wait = STALL_TIMEOUT) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(new Error(`No progress for ${Math.round(wait / 1000)}s`)), wait);
+    };
+    reset();
+    return { signal: controller.signal, reset, clear: () => clearTimeout(timer) };
+}
+
+// Network errors and timeouts have no status; 409 (offset mismatch) is fixed by asking for the offset again
+function isRetryable(error) {
+    return error.status === undefined || [409, 423, 429].includes(error.status) || error.status >= 500;
+}
+
+/**
+ * Upload a file to a Storage bucket in chunks, retrying and resuming after failures
+ * @param {Object} options
+ * @param {string} options.endpoint - `${SUPABASE_URL}/storage/v1/upload/resumable`
+ * @param {function(): Promise<Object>} options.getHeaders - Auth headers, asked for on every request so a
+ *   long upload survives a token refresh
+ * @param {string} options.filePath
+ * @param {string} options.bucket
+ * @param {string} options.objectName - Path inside the bucket
+ * @param {string} options.contentType
+ * @param {string} [options.uploadUrl] - URL of an upload started earlier, to resume it
+ * @param {function(string): void} [options.onUploadUrl] - Called with the URL of a newly created upload
+ * @param {function(number, number): void} [options.onProgress] - (bytesUploaded, bytesTotal); goes back
+ *   to the server's offset when a chunk has to be sent again
+ * @returns {Promise<{bucket: string, path: string, size: number}>}
+ */
+async function uploadResumable({ endpoint, getHeaders, filePath, bucket, objectName, contentType, uploadUrl, onUploadUrl, onProgress }) {
+    const { size } = await fs.promises.stat(filePath);
+    // A streamed body passes its own stall timer and resets it as it goes
+    const request = async (url, method, headers = {}, body, stall = stallTimer()) => {
+        try {
+            return await fetch(url, {
+                method,
+                headers: { ...(await getHeaders()), 'Tus-Resumable': TUS_VERSION, ...headers },
+                body,
+                // Needed for a streamed body
+                duplex: body ? 'half' : undefined,
+                signal: stall.signal,
+            });
+        } finally {
+            stall.clear();
+        }
+    };
+
+    const createUpload = async () => {
+        const response = await request(endpoint, 'POST', {
+            'Upload-Length': String(size),
+            'Upload-Metadata': encodeMetadata({ bucketName: bucket, objectName, contentType, cacheControl: 3600 }),
+            // A retried recording replaces its earlier, unfinished object
+            'x-upsert': 'true',
+        });
+        if (response.status !== 201) throw await requestError(response, 'start');
+        const url = new URL(response.headers.get('Location'), endpoint).toString();
+        if (onUploadUrl) onUploadUrl(url);
+        return url;
+    };
+
+    // Null when the server no longer knows the upload (expired or already finished and removed)
+    const fetchOffset = async (url) => {
+        const response = await request(url, 'HEAD');
+        if ([404, 410].includes(response.status)) return null;
+        if (!response.ok) throw await requestError(response, 'resume');
+        return Number(response.headers.get('Upload-Offset'));
+    };
+
+    // Chunk body handed to fetch a slice at a time, reporting each slice as it is taken
+    async function* chunkBody(chunk, chunkOffset, stall) {
+        for (let start = 0; start < chunk.length; start += PROGRESS_SLICE_SIZE) {
+            const slice = chunk.subarray(start, start + PROGRESS_SLICE_SIZE);
+            yield slice;
+            stall.reset();
+            if (onProgress) onProgress(chunkOffset + start + slice.length, size);
+        }
+        stall.reset(Math.max(STALL_TIMEOUT, chunk.length / MIN_UPLOAD_RATE * 1000));
+    }
+
+    let url = uploadUrl || null;
+    let offset = 0;
+    let attempt = 0;
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        for (;;) {
+            try {
+                if (url) {
+                    const serverOffset = await fetchOffset(url);
+                    if (serverOffset === null) {
+                        console.log('[resumableUpload] Upload expired on the server, starting over');
+                        url = null;
+                    } else {
+                        offset = serverOffset;
+                    }
+                }
+                if (!url) {
+                    url = await createUpload();
+                    offset = 0;
+                }
+                if (offset > 0 && onProgress) onProgress(offset, size);
+
+                while (offset < size) {
+                    const chunk = Buffer.alloc(Math.min(CHUNK_SIZE, size - offset));
+                    await handle.read(chunk, 0, chunk.length, offset);
+                    const stall = stallTimer();
+                    const response = await request(url, 'PATCH', {
+                        'Upload-Offset': String(offset),
+                        'Content-Type': 'application/offset+octet-stream',
+                        'Content-Length': String(chunk.length),
+                    }, chunkBody(chunk, offset, stall), stall);
+                    if (response.status !== 204) throw await requestError(response, 'send a chunk');
+                    offset = Number(response.headers.get('Upload-Offset'));
+                    attempt = 0;
+                    if (onProgress) onProgress(offset, size);
+                }
+                return { bucket, path: objectName, size };
+            } catch (error) {
+                if (!isRetryable(error) || attempt >= RETRY_DELAYS.length) throw error;
+                const delay = RETRY_DELAYS[attempt++];
+                console.warn(`[resumableUpload] ${error.message}; retrying in ${delay / 1000}s (attempt ${attempt} of ${RETRY_DELAYS.length})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = {
+    uploadResumable,
+    CHUNK_SIZE,
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnFFmpeg } = require('./ffmpegLocator');
+const { EventEmitter } = require('events');
+const { createOutputWriter } = require('./outputFormats');
+
+const MANIFEST_FILENAME = 'manifest.json';
+const DEFAULT_SEGMENT_DURATION = 300; // seconds
+
+/**
+ * Writes a recording as rolling segment files in one directory, with a
+ * manifest.json describing them. Each segment is a complete, independently
+ * playable file once rotated, so a crash only ever risks the open segment.
+ * Same write/close/'error' interface as WavWriter and EncoderWriter.
+ */
+class SegmentedWriter extends EventEmitter {
+    /**
+     * @param {string} directory - Per-recording directory (created if missing)
+     * @param {Object} outputSettings - Result of resolveOutputSettings()
+     * @param {Object} [options]
+     * @param {number} [options.segmentDuration=300] - Seconds of audio per segment
+     * @param {Object} [options.metadata] - Extra manifest fields, e.g. { meetingId }
+     */
+    constructor(directory, outputSettings, { segmentDuration = DEFAULT_SEGMENT_DURATION, metadata = {} } = {}) {
+        super();
+        this.directory = directory;
+        this.outputSettings = outputSettings;
+        this.closed = false;
+        this.pendingCloses = [];
+
+        // Rotate on whole sample frames so no sample straddles two files
+        const frameSize = outputSettings.channels * 2;
+        this.segmentBytes = Math.max(1, Math.round(segmentDuration * outputSettings.sampleRate)) * frameSize;
+        this.segmentBytesWritten = 0;
+
+        fs.mkdirSync(directory, { recursive: true });
+
+        this.manifest = {
+            ...metadata,
+            status: 'recording',
+            createdAt: new Date().toISOString(),
+            segmentDuration,
+            format: {
+                format: outputSettings.format,
+                extension: outputSettings.extension,
+                mimeType: outputSettings.mimeType,
+                sampleRate: outputSettings.sampleRate,
+                channels: outputSettings.channels,
+                bitrate: outputSettings.bitrate,
+            },
+            segments: [],
+        };
+
+        this.openSegment();
+    }
+
+    openSegment() {
+        const index = this.manifest.segments.length;
+        const file = `segment-${String(index).padStart(3, '0')}.${this.outputSettings.extension}`;
+        const entry = { file, startedAt: new Date().toISOString(), bytes: 0, completed: false };
+
+        this.manifest.segments.push(entry);
+        this.currentEntry = entry;
+        this.current = createOutputWriter(path.join(this.directory, file), this.outputSettings);
+        this.current.on('error', (error) => this.emit('error', error));
+        this.segmentBytesWritten = 0;
+        this.writeManifest();
+    }
+
+    rotate() {
+        const writer = this.current;
+        const entry = this.currentEntry;
+        this.pendingCloses.push(this.finishSegment(writer, entry));
+        this.openSegment();
+        this.emit('segment', { file: entry.file, index: this.manifest.segments.length - 2 });
+    }
+
+    async finishSegment(writer, entry) {
+        try {
+            await writer.close();
+            entry.completed = true;
+            entry.endedAt = new Date().toISOString();
+            this.writeManifest();
+        } catch (error) {
+            console.error(`Failed to finalize segment ${entry.file}:`, error);
+            this.emit('error', error);
+        }
+    }
+
+    write(chunk) {
+        if (this.closed) return;
+
+        let offset = 0;
+        while (offset < chunk.length) {
+            const room = this.segmentBytes - this.segmentBytesWritten;
+            const part = chunk.subarray(offset, offset + room);
+            this.current.write(part);
+            this.currentEntry.bytes += part.length;
+            this.segmentBytesWritten += part.length;
+            offset += part.length;
+
+            if (this.segmentBytesWritten >= this.segmentBytes) {
+                this.rotate();
+            }
+        }
+    }
+
+    /**
+     * Merge recording details (e.g. pause intervals) into the manifest
+     * @param {Object} fields
+     */
+    updateManifest(fields) {
+        Object.assign(this.manifest, fields);
+        this.writeManifest();
+    }
+
+    writeManifest() {
+        try {
+            writeManifest(this.directory, this.manifest);
+        } catch (error) {
+            console.error('Failed to write recording manifest:', error);
+        }
+    }
+
+    /**
+     * Finalize the open segment and mark the manifest stopped
+     * @returns {Promise<string>} Resolves with the recording directory
+     */
+    async close() {
+        if (this.closed) return this.directory;
+        this.closed = true;
+
+        // Drop an empty trailing segment left by a rotation right before stop
+        if (this.currentEntry.bytes === 0 && this.manifest.segments.length > 1) {
+            this.pendingCloses.push(this.current.close().then(() => {
+                fs.promises.unlink(path.join(this.directory, this.currentEntry.file)).catch(() => {});
+            }).catch(() => {}));
+            this.manifest.segments.pop();
+        } else {
+            this.pendingCloses.push(this.finishSegment(this.current, this.currentEntry));
+        }
+
+        await Promise.all(this.pendingCloses);
+        this.manifest.status = 'stopped';
+        this.manifest.stoppedAt = new Date().toISOString();
+        this.writeManifest();
+        return this.directory;
+    }
+}
+
+/**
+ * Replace a recording directory's manifest atomically, so a crash never leaves it half-written
+ * @param {string} directory
+ * @param {Object} manifest
+ */
+function writeManifest(directory, manifest) {
+    const target = path.join(directory, MANIFEST_FILENAME);
+    const temp = `${target}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(manifest, null, 2));
+    fs.renameSync(temp, target);
+}
+
+/**
+ * Read a recording directory's manifest
+ * @param {string} directory
+ * @returns {Promise<Object>}
+ */
+async function readManifest(directory) {
+    const content = await fs.promises.readFile(path.join(directory, MANIFEST_FILENAME), 'utf8');
+    return JSON.parse(content);
+}
+
+/**
+ * Join the segments listed in a recording directory's manifest into one file
+ * using FFmpeg's concat demuxer (stream copy, no re-encode).
+ * @param {string} directory - Recording directory containing manifest.json
+ * @param {string} outputPath - Path of the combined file
+ * @returns {Promise<string>} Resolves with outputPath
+ */
+async function concatenateSegments(directory, outputPath) {
+    const manifest = await readManifest(directory);
+    const files = manifest.segments.map(segment => path.join(directory, segment.file));
+
+    if (files.length === 0) {
+        throw new Error(`No segments recorded in ${directory}`);
+    }
+
+    if (files.length === 1) {
+        await fs.promises.copyFile(files[0], outputPath);
+        return outputPath;
+    }
+
+    const listPath = path.join(directory, 'concat.txt');
+    const list = files.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n');
+    await fs.promises.writeFile(listPath, list);
+
+    try {
+        await new Promise((resolve, reject) => {
+            // No tags or encoder string, so a WAV comes out with the plain 44-byte header
+            const args = ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-c', 'copy', '-map_metadata', '-1', '-fflags', '+bitexact', outputPath];
+            console.log('Concatenating recording segments with args:', args.join(' '));
+            const process = spawnFFmpeg(args);
+            let stderr = '';
+
+            process.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+            process.on('error', reject);
+            process.on('close', (code) => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`FFmpeg concat failed with code ${code}: ${stderr.split('\n').slice(-3).join(' ')}`));
+                }
+            });
+        });
+    } finally {
+        fs.promises.unlink(listPath).catch(() => {});
+    }
+
+    return outputPath;
+}
+
+module.exports = {
+    SegmentedWriter,
+    readManifest,
+    writeManifest,
+    concatenateSegments,
+    MANIFEST_FILENAME,
+    DEFAULT_SEGMENT_DURATION,
+};
@@ -0,0 +1,116 @@
+// Silence rules for a running recording: auto-pause after a short stretch below the
+// threshold, request an auto-stop after a long one, and trim the silent tail on stop.
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { spawnFFmpeg } = require('./ffmpegLocator');
+
+const DEFAULT_SILENCE_RULES = {
+    threshold: -50,                                      // dBFS; quieter counts as silence
+    autoPause: { enabled: false, after: 30 },            // seconds
+    autoStop: { enabled: false, after: 15, countdown: 60 }, // minutes, then seconds to cancel
+    trimTrailing: { enabled: false, keep: 2 },           // seconds of tail left in the file
+};
+
+/**
+ * Merge stored silence settings over the defaults
+ * @param {Object} [rules]
+ * @returns {Object}
+ */
+function resolveSilenceRules(rules = {}) {
+    return {
+        threshold: typeof rules.threshold === 'number' ? rules.threshold : DEFAULT_SILENCE_RULES.threshold,
+        autoPause: { ...DEFAULT_SILENCE_RULES.autoPause, ...(rules.autoPause || {}) },
+        autoStop: { ...DEFAULT_SILENCE_RULES.autoStop, ...(rules.autoStop || {}) },
+        trimTrailing: { ...DEFAULT_SILENCE_RULES.trimTrailing, ...(rules.trimTrailing || {}) },
+    };
+}
+
+/**
+ * Tracks how long the input has stayed below the threshold. Fed one level per PCM
+ * chunk by AudioRecorder. Emits:
+ *   'autoPause' ({ silentFor }) - silence reached autoPause.after seconds
+ *   'autoStop'  ({ silentFor }) - silence reached autoStop.after minutes
+ *   'sound'     ({ silentFor }) - the input got loud again after either of the above
+ */
+class SilenceMonitor extends EventEmitter {
+    constructor(rules) {
+        super();
+        this.rules = resolveSilenceRules(rules);
+        this.reset();
+    }
+
+    reset() {
+        this.silentFor = 0;
+        this.pauseFired = false;
+        this.stopFired = false;
+    }
+
+    /**
+     * @param {number} level - Chunk level in dBFS
+     * @param {number} seconds - Duration of the chunk
+     * @returns {boolean} Whether the chunk counted as silence
+     */
+    update(level, seconds) {
+        const { threshold, autoPause, autoStop } = this.rules;
+
+        if (level >= threshold) {
+            if (this.pauseFired || this.stopFired) {
+                this.emit('sound', { silentFor: this.silentFor });
+            }
+            this.reset();
+            return false;
+        }
+
+        this.silentFor += seconds;
+        if (autoPause.enabled && !this.pauseFired && this.silentFor >= autoPause.after) {
+            this.pauseFired = true;
+            this.emit('autoPause', { silentFor: this.silentFor });
+        }
+        if (autoStop.enabled && !this.stopFired && this.silentFor >= autoStop.after * 60) {
+            this.stopFired = true;
+            this.emit('autoStop', { silentFor: this.silentFor });
+        }
+        return true;
+    }
+}
+
+/**
+ * Cut a recording to its first `duration` seconds in place (stream copy, no re-encode)
+ * @param {string} filePath
+ * @param {number} duration - Seconds to keep
+ * @returns {Promise<string>} Resolves with filePath
+ */
+function trimAudioFile(filePath, duration) {
+    const trimmedPath = filePath.replace(/(\.[^./\\]+)$/, '.trimmed$1');
+    const args = ['-y', '-i', filePath, '-t', duration.toFixed(3), '-c', 'copy', trimmedPath];
+    console.log('Trimming trailing silence with args:', args.join(' '));
+
+    return new Promise((resolve, reject) => {
+        const process = spawnFFmpeg(args);
+        let stderr = '';
+        process.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        process.on('error', reject);
+        process.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`FFmpeg trim failed with code ${code}: ${stderr.split('\n').slice(-3).join(' ')}`));
+            }
+        });
+    })
+        .then(() => fs.promises.rename(trimmedPath, filePath))
+        .then(() => filePath)
+        .catch(async (error) => {
+            await fs.promises.unlink(trimmedPath).catch(() => {});
+            throw error;
+        });
+}
+
+module.exports = {
+    SilenceMonitor,
+    resolveSilenceRules,
+    trimAudioFile,
+    DEFAULT_SILENCE_RULES,
+};
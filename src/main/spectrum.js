@@ -0,0 +1,140 @@
+// Frequency analysis of the most recent samples for the recording window: log-spaced
+// band levels for a spectrum display, and how much of the energy falls in the speech
+// band, which tells a voice apart from fan noise or mains hum.
+const FFT_SIZE = 1024;
+const MIN_FREQUENCY = 60;
+const SPEECH_BAND = [300, 3400];
+const MIN_BANDS = 8;
+const MAX_BANDS = 64;
+
+const DEFAULT_SPECTRUM_SETTINGS = { enabled: false, bands: 32 };
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {Uint32Array} reversed - Bit-reversal permutation
+ * @param {Float64Array} cos - cos(2πk/n) for k < n/2
+ * @param {Float64Array} sin - sin(2πk/n) for k < n/2
+ */
+function fft(re, im, reversed, cos, sin) {
+    const n = re.length;
+    for (let i = 0; i < n; i++) {
+        const j = reversed[i];
+        if (j > i) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size *= 2) {
+        const half = size / 2;
+        const step = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const wr = cos[k * step];
+                const wi = -sin[k * step];
+                const a = start + k;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+function toDb(power) {
+    return 10 * Math.log10(Math.max(power, 1e-20));
+}
+
+class SpectrumAnalyzer {
+    /**
+     * @param {{sampleRate: number, bands?: number}} options - bands is clamped to 8..64
+     */
+    constructor({ sampleRate, bands = DEFAULT_SPECTRUM_SETTINGS.bands }) {
+        const n = FFT_SIZE;
+        this.sampleRate = sampleRate;
+        this.re = new Float64Array(n);
+        this.im = new Float64Array(n);
+        this.window = new Float64Array(n);
+        this.cos = new Float64Array(n / 2);
+        this.sin = new Float64Array(n / 2);
+        this.reversed = new Uint32Array(n);
+
+        const bits = Math.log2(n);
+        for (let i = 0; i < n; i++) {
+            this.window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (n - 1)));
+            let reversed = 0;
+            for (let bit = 0; bit < bits; bit++) reversed |= ((i >> bit) & 1) << (bits - 1 - bit);
+            this.reversed[i] = reversed;
+        }
+        for (let k = 0; k < n / 2; k++) {
+            this.cos[k] = Math.cos((2 * Math.PI * k) / n);
+            this.sin[k] = Math.sin((2 * Math.PI * k) / n);
+        }
+
+        // Bin range [from, to) of each log-spaced band; narrow low bands share a bin
+        const binWidth = sampleRate / n;
+        const nyquist = sampleRate / 2;
+        const count = Math.max(MIN_BANDS, Math.min(MAX_BANDS, Math.round(bands)));
+        this.bandBins = [];
+        for (let band = 0; band < count; band++) {
+            const low = MIN_FREQUENCY * Math.pow(nyquist / MIN_FREQUENCY, band / count);
+            const high = MIN_FREQUENCY * Math.pow(nyquist / MIN_FREQUENCY, (band + 1) / count);
+            const from = Math.min(n / 2 - 1, Math.floor(low / binWidth));
+            this.bandBins.push([from, Math.max(from + 1, Math.min(n / 2, Math.ceil(high / binWidth)))]);
+        }
+        this.minBin = Math.ceil(MIN_FREQUENCY / binWidth);
+        this.speechBins = [Math.floor(SPEECH_BAND[0] / binWidth), Math.min(n / 2, Math.ceil(SPEECH_BAND[1] / binWidth))];
+        // Band levels are summed power, scaled so a full-scale sine reads about 0 dB in its
+        // band (|X| = A·N/4 at the peak bin under a Hann window)
+        this.scale = 16 / (n * n);
+    }
+
+    /**
+     * @param {Float32Array} samples - At least FFT_SIZE samples; the last FFT_SIZE are analyzed
+     * @returns {{bands: Float32Array, speech: {level: number, ratio: number}}} Band levels in dBFS,
+     *   and the speech band's level (dBFS) and share of the energy above 60 Hz (0..1)
+     */
+    analyze(samples) {
+        const n = FFT_SIZE;
+        const offset = samples.length - n;
+        for (let i = 0; i < n; i++) {
+            this.re[i] = (samples[offset + i] || 0) * this.window[i];
+            this.im[i] = 0;
+        }
+        fft(this.re, this.im, this.reversed, this.cos, this.sin);
+
+        const power = (bin) => (this.re[bin] * this.re[bin] + this.im[bin] * this.im[bin]) * this.scale;
+
+        const bands = new Float32Array(this.bandBins.length);
+        this.bandBins.forEach(([from, to], band) => {
+            let sum = 0;
+            for (let bin = from; bin < to; bin++) sum += power(bin);
+            bands[band] = toDb(sum);
+        });
+
+        let total = 0;
+        let speech = 0;
+        for (let bin = this.minBin; bin < n / 2; bin++) {
+            const p = power(bin);
+            total += p;
+            if (bin >= this.speechBins[0] && bin < this.speechBins[1]) speech += p;
+        }
+
+        return {
+            bands,
+            speech: { level: toDb(speech), ratio: total > 0 ? speech / total : 0 },
+        };
+    }
+}
+
+module.exports = {
+    SpectrumAnalyzer,
+    FFT_SIZE,
+    SPEECH_BAND,
+    DEFAULT_SPECTRUM_SETTINGS,
+};
@@ -4,11 +4,21 @@ const EventEmitter = require('events');
 const initialState = {
     isLoggedIn: false,
     isRecording: false,
+    isPaused: false,
+    autoStopAt: null,
+    healthWarnings: [],
+    markerCount: 0,
+    isImporting: false,
     statusMessage: 'Starting...',
     user: null,
     transcriptionStatus: null,
     currentMeeting: null,
     workspace: null,
+    orphanedRecordings: [],
+    uploadQueue: [],
+    // { meetingId, sent, total, rate, eta } while a recording is being uploaded
+    uploadProgress: null,
+    inputDevices: [],
 };
 
 let state = { ...initialState };
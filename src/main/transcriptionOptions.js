@@ -0,0 +1,88 @@
+// What the transcribe-audio edge function is asked for: language, extra AssemblyAI features,
+// the expected number of speakers and the terms to boost. The `transcription` settings are
+// the workspace defaults; a meeting can override them from the overlay before it is recorded.
+
+// AssemblyAI language codes; 'auto' asks the service to detect the language
+const LANGUAGES = [
+    { code: 'auto', name: 'Detect automatically' },
+    { code: 'en_us', name: 'English (US)' },
+    { code: 'en_uk', name: 'English (UK)' },
+    { code: 'de', name: 'German' },
+    { code: 'fr', name: 'French' },
+    { code: 'es', name: 'Spanish' },
+    { code: 'it', name: 'Italian' },
+    { code: 'nl', name: 'Dutch' },
+    { code: 'pt', name: 'Portuguese' },
+];
+
+const FEATURES = [
+    { id: 'sentiment_analysis', name: 'Sentiment analysis' },
+    { id: 'entity_detection', name: 'Entity detection' },
+    { id: 'auto_highlights', name: 'Key phrases' },
+    { id: 'iab_categories', name: 'Topics' },
+    { id: 'auto_chapters', name: 'Chapters' },
+];
+
+const MAX_SPEAKERS = 10;
+
+const DEFAULT_TRANSCRIPTION_OPTIONS = {
+    languageCode: 'en_us',
+    // Feature id -> requested; kept as a map so settings changes merge like the other groups
+    features: { sentiment_analysis: true, entity_detection: true },
+    // null lets the service work out how many people spoke
+    speakersExpected: null,
+    // Glossary of names and terms always boosted, see src/main/wordBoost.js
+    vocabulary: [],
+};
+
+/**
+ * Merge a meeting's choices over the stored defaults, dropping unknown languages and features
+ * @param {Object} [defaults] - Stored `transcription` settings
+ * @param {Object} [overrides] - Choices made for one meeting, plus its companyId (whose name and
+ *   people are boosted)
+ * @returns {{languageCode: string, features: Object<string, boolean>, speakersExpected: number|null,
+ *   vocabulary: string[], companyId: string|null}}
+ */
+function resolveTranscriptionOptions(defaults = {}, overrides = {}) {
+    const merged = {
+        ...DEFAULT_TRANSCRIPTION_OPTIONS,
+        ...defaults,
+        ...overrides,
+        features: { ...DEFAULT_TRANSCRIPTION_OPTIONS.features, ...(defaults.features || {}), ...(overrides.features || {}) },
+    };
+    const speakers = Number(merged.speakersExpected);
+    return {
+        languageCode: LANGUAGES.some(l => l.code === merged.languageCode) ? merged.languageCode : DEFAULT_TRANSCRIPTION_OPTIONS.languageCode,
+        features: Object.fromEntries(FEATURES.map(f => [f.id, !!merged.features[f.id]])),
+        speakersExpected: merged.speakersExpected !== null && Number.isInteger(speakers) && speakers >= 1 && speakers <= MAX_SPEAKERS
+            ? speakers
+            : null,
+        vocabulary: Array.isArray(merged.vocabulary) ? merged.vocabulary.filter(term => typeof term === 'string' && term.trim()) : [],
+        companyId: merged.companyId || null,
+    };
+}
+
+/**
+ * Edge function request fields for resolved options
+ * @param {Object} options - Result of resolveTranscriptionOptions()
+ * @param {string[]} [additionalFeatures]
+ * @returns {{languageCode: string|null, languageDetection: boolean, features: string[], speakersExpected: number|null}}
+ */
+function transcriptionPayload(options, additionalFeatures = []) {
+    const features = Object.keys(options.features).filter(id => options.features[id]);
+    return {
+        languageCode: options.languageCode === 'auto' ? null : options.languageCode,
+        languageDetection: options.languageCode === 'auto',
+        features: [...new Set([...features, ...additionalFeatures])],
+        speakersExpected: options.speakersExpected,
+    };
+}
+
+module.exports = {
+    LANGUAGES,
+    FEATURES,
+    MAX_SPEAKERS,
+    DEFAULT_TRANSCRIPTION_OPTIONS,
+    resolveTranscriptionOptions,
+    transcriptionPayload,
+};
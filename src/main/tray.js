@@ -4,6 +4,8 @@ const path = require('path');
 const fs = require('fs');
 const sharp = require('sharp');
 const { MISHI_WEB_APP_URL } = require('./config');
+const deviceRegistry = require('./deviceRegistry');
+const { formatUploadProgress } = require('./uploadProgress');
 
 let tray = null;
 let currentState = null;
@@ -28,14 +30,103 @@ function buildContextMenuTemplate(state, store, access) {
         if (!state.isRecording) {
             items.push({
                 label: 'Start Recording',
+                enabled: !state.isImporting,
                 click: () => access.startRecording && access.startRecording(),
             });
+            items.push({
+                label: state.isImporting ? 'Importing Recording…' : 'Import Recording…',
+                enabled: !state.isImporting,
+                click: () => importRecording(access),
+            });
         } else {
+            if (state.isPaused) {
+                items.push({
+                    label: 'Resume Recording',
+                    click: () => access.resumeRecording && access.resumeRecording(),
+                });
+            } else {
+                items.push({
+                    label: 'Pause Recording',
+                    click: () => access.pauseRecording && access.pauseRecording(),
+                });
+            }
+            if (state.autoStopAt) {
+                items.push({
+                    label: 'Keep Recording (stopping for silence)',
+                    click: () => access.cancelAutoStop && access.cancelAutoStop('user'),
+                });
+            }
+            items.push({
+                label: state.markerCount > 0 ? `Add Marker (${state.markerCount})` : 'Add Marker',
+                accelerator: (store && store.get('shortcuts.addMarker', 'CommandOrControl+Shift+M')) || undefined,
+                registerAccelerator: false,
+                click: () => access.addRecordingMarker && access.addRecordingMarker(),
+            });
             items.push({
                 label: 'Stop Recording',
                 click: () => access.stopRecording && access.stopRecording(),
             });
         }
+        const uploads = state.uploadQueue || [];
+        if (uploads.length > 0) {
+            items.push({
+                label: `Pending Uploads (${uploads.length})`,
+                submenu: uploads.map(job => ({
+                    label: `${job.title || 'Recording'}: ${describeUpload(job)}`,
+                    submenu: [
+                        ...(job.lastError ? [{ label: job.lastError.slice(0, 80), enabled: false }] : []),
+                        {
+                            label: 'Retry Now',
+                            enabled: job.status !== 'uploading',
+                            click: () => access.retryUpload && access.retryUpload(job.id),
+                        },
+                        {
+                            label: 'Cancel Upload…',
+                            click: () => runUploadAction(access.cancelUpload, job.id),
+                        },
+                    ],
+                })),
+            });
+        }
+        const orphans = state.orphanedRecordings || [];
+        if (orphans.length > 0) {
+            items.push({
+                label: `Recovered Recordings (${orphans.length})`,
+                submenu: orphans.map(orphan => ({
+                    label: `${orphan.title} (${new Date(orphan.createdAt).toLocaleString()})`,
+                    submenu: [
+                        {
+                            label: 'Upload to Meeting',
+                            enabled: !!orphan.meetingId && !state.isRecording,
+                            click: () => runRecoveryAction(access.uploadOrphanedRecording, orphan.id),
+                        },
+                        {
+                            label: 'Save As…',
+                            click: () => runRecoveryAction(access.saveOrphanedRecording, orphan.id),
+                        },
+                        {
+                            label: 'Discard',
+                            click: () => runRecoveryAction(access.discardOrphanedRecording, orphan.id),
+                        },
+                    ],
+                })),
+            });
+        }
+        const devices = state.inputDevices || [];
+        if (devices.length > 0) {
+            const selected = deviceRegistry.resolveDevice(store && store.get('inputDevice'), devices);
+            items.push({
+                label: 'Input Device',
+                // Changing the device restarts the recorder, so not while recording
+                enabled: !state.isRecording,
+                submenu: devices.map(device => ({
+                    label: device.isMonitor ? `${device.name} (system audio)` : device.name,
+                    type: 'radio',
+                    checked: !!selected && selected.uid === device.uid,
+                    click: () => selectInputDevice(access, device),
+                })),
+            });
+        }
         items.push({ type: 'separator' });
         items.push({
             label: 'Settings',
@@ -54,6 +145,46 @@ function buildContextMenuTemplate(state, store, access) {
     return items;
 }
 
+function selectInputDevice(access, device) {
+    if (!access.updateAudioDevice) return;
+    // Rebuild afterwards so the check mark follows the stored setting
+    Promise.resolve(access.updateAudioDevice(deviceRegistry.toStoredDevice(device)))
+        .finally(() => updateTray(currentState));
+}
+
+function importRecording(access) {
+    if (!access.importRecording) return;
+    Promise.resolve(access.importRecording()).catch(error => {
+        console.error('[tray.js] Import failed:', error);
+        dialog.showErrorBox('Import Error', `Failed to import recording: ${error.message}`);
+    });
+}
+
+function describeUpload(job) {
+    // The percentage is in the tooltip; the menu isn't rebuilt for progress
+    if (job.status === 'uploading') return 'uploading…';
+    if (job.status === 'failed') return `failed after ${job.attempts} attempts`;
+    // The menu isn't rebuilt as time passes, so show when rather than how long
+    if (Date.parse(job.nextAttemptAt) <= Date.now()) return 'waiting for a connection';
+    return `next try at ${new Date(job.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+function runUploadAction(action, id) {
+    if (!action) return;
+    Promise.resolve(action(id)).catch(error => {
+        console.error('[tray.js] Upload action failed:', error);
+        dialog.showErrorBox('Upload Error', error.message);
+    });
+}
+
+function runRecoveryAction(action, id) {
+    if (!action) return;
+    Promise.resolve(action(id)).catch(error => {
+        console.error('[tray.js] Recovery action failed:', error);
+        dialog.showErrorBox('Recovery Error', `Failed to recover recording: ${error.message}`);
+    });
+}
+
 function initializeTray(initialState, store, access) {
     currentState = initialState;
     currentStore = store;
@@ -72,18 +203,35 @@ function initializeTray(initialState, store, access) {
 }
 
 function updateTray(newState, access) {
-    console.log('[tray.js] updateTray called with state:', newState);
+    const previousState = currentState;
     currentState = newState;
     if (access) {
         moduleAccess = access;
     }
     if (!tray) return;
+    tray.setToolTip(getTooltip(currentState));
+    // Upload progress changes twice a second and only shows in the tooltip
+    if (previousState && onlyUploadProgressChanged(previousState, newState)) return;
     const contextMenu = Menu.buildFromTemplate(
         buildContextMenuTemplate(currentState, currentStore, moduleAccess)
     );
     tray.setContextMenu(contextMenu);
 }
 
+function onlyUploadProgressChanged(previousState, newState) {
+    if (previousState.uploadProgress === newState.uploadProgress) return false;
+    const keys = new Set([...Object.keys(previousState), ...Object.keys(newState)]);
+    keys.delete('uploadProgress');
+    return [...keys].every(key => previousState[key] === newState[key]);
+}
+
+function getTooltip(state) {
+    if (state.isRecording && state.isPaused) return 'Mishi Recorder (Paused)';
+    if (state.isRecording) return 'Mishi Recorder (Recording)';
+    if (state.uploadProgress) return `Mishi Recorder (Uploading ${formatUploadProgress(state.uploadProgress)})`;
+    return 'Mishi Recorder';
+}
+
 module.exports = {
     initializeTray,
     updateTray,
@@ -0,0 +1,53 @@
+// Turns the byte counts reported by the upload into { sent, total, rate, eta } for the app
+// state: the rate is smoothed so the time left doesn't jump around on every slice, and
+// updates are throttled so the tray and windows aren't redrawn hundreds of times a second.
+const UPDATE_INTERVAL = 500;
+// Weight of the newest rate sample
+const RATE_SMOOTHING = 0.3;
+
+/**
+ * @param {function(Object): void} onChange - Called with { sent, total, rate, eta }: bytes, bytes per
+ *   second and seconds left (null until a rate is known)
+ * @param {Object} [options]
+ * @param {number} [options.interval] - Minimum ms between updates; the last byte is always reported
+ * @returns {function(number, number): void} (bytesUploaded, bytesTotal)
+ */
+function createUploadProgress(onChange, { interval = UPDATE_INTERVAL } = {}) {
+    let rate = null;
+    let lastSent = null;
+    let lastTime = null;
+
+    return (sent, total) => {
+        const now = Date.now();
+        // A resend starts over from the server's offset; measure from there
+        if (lastSent === null || sent < lastSent) {
+            lastSent = sent;
+            lastTime = now;
+        } else {
+            if (sent === lastSent || (now - lastTime < interval && sent < total)) return;
+            const elapsed = (now - lastTime) / 1000;
+            if (elapsed > 0) {
+                const sample = (sent - lastSent) / elapsed;
+                rate = rate === null ? sample : rate + RATE_SMOOTHING * (sample - rate);
+            }
+            lastSent = sent;
+            lastTime = now;
+        }
+        const eta = rate > 0 ? Math.ceil((total - sent) / rate) : null;
+        onChange({ sent, total, rate: rate === null ? null : Math.round(rate), eta });
+    };
+}
+
+// "42%, 1:05 left" for the tray tooltip and status message
+function formatUploadProgress({ sent, total, eta }) {
+    const percent = total > 0 ? Math.floor((sent / total) * 100) : 0;
+    if (eta === null || sent >= total) return `${percent}%`;
+    const minutes = Math.floor(eta / 60);
+    const seconds = String(eta % 60).padStart(2, '0');
+    return `${percent}%, ${minutes}:${seconds} left`;
+}
+
+module.exports = {
+    createUploadProgress,
+    formatUploadProgress,
+};
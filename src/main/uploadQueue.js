@@ -0,0 +1,245 @@
+// Uploads that couldn't be sent yet (no network on a train, an expired session, a server
+// error) wait here, on disk so they survive a restart, and are retried with exponential
+// backoff. Time spent offline doesn't use up attempts; coming back online retries at once.
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+// Failed uploads after this many attempts wait for a manual retry
+const MAX_ATTEMPTS = 8;
+// How often to check whether uploads can run while offline or logged out
+const CONNECTIVITY_POLL_INTERVAL = 15 * 1000;
+
+function retryDelay(attempts) {
+    return Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * Math.pow(2, attempts - 1));
+}
+
+/**
+ * Jobs are { id, meetingId, title, filePath, directory, audioFormat, transcription, uploadUrl,
+ * attempts, status, nextAttemptAt, lastError, createdAt }, status 'pending', 'uploading' or
+ * 'failed'. uploadUrl is the Storage upload an earlier attempt started, so the next one resumes it.
+ * Emits 'change' (jobs) whenever the queue changes, 'uploaded' (job) and 'failed' (job)
+ * once a job runs out of attempts.
+ */
+class UploadQueue extends EventEmitter {
+    /**
+     * @param {string} queuePath - JSON file the queue is kept in
+     * @param {Object} options
+     * @param {function(Object): Promise<void>} options.upload - Sends a job; throws on failure
+     * @param {function(): boolean} [options.canUpload] - False while offline or logged out
+     */
+    constructor(queuePath, { upload, canUpload = () => true }) {
+        super();
+        this.queuePath = queuePath;
+        this.upload = upload;
+        this.canUpload = canUpload;
+        this.jobs = [];
+        this.timer = null;
+        this.running = false;
+        this.wasBlocked = false;
+        // id -> resolve() of enqueue(), settled by the job's first attempt
+        this.firstAttempts = new Map();
+    }
+
+    /**
+     * Read the queue left by the previous run. Uploads interrupted by a quit are pending
+     * again; jobs whose file is gone are dropped.
+     */
+    load() {
+        let jobs = [];
+        try {
+            jobs = JSON.parse(fs.readFileSync(this.queuePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('[uploadQueue] Failed to read the upload queue:', error);
+        }
+        this.jobs = jobs
+            .filter(job => fs.existsSync(job.filePath))
+            .map(job => (job.status === 'uploading' ? { ...job, status: 'pending' } : job));
+        if (this.jobs.length !== jobs.length) this.save();
+        if (this.jobs.length > 0) console.log(`[uploadQueue] ${this.jobs.length} upload(s) waiting`);
+        this.changed();
+    }
+
+    save() {
+        try {
+            const temp = `${this.queuePath}.tmp`;
+            fs.mkdirSync(path.dirname(this.queuePath), { recursive: true });
+            fs.writeFileSync(temp, JSON.stringify(this.jobs, null, 2));
+            fs.renameSync(temp, this.queuePath);
+        } catch (error) {
+            console.error('[uploadQueue] Failed to save the upload queue:', error);
+        }
+    }
+
+    changed() {
+        this.save();
+        this.emit('change', this.getJobs());
+    }
+
+    /**
+     * Add an upload (replacing a queued one for the same meeting) and try it right away
+     * @param {{meetingId: string, title?: string, filePath: string, directory: string, audioFormat: Object, transcription?: Object}} upload
+     * @returns {Promise<boolean>} True once it is sent; false if the first attempt failed and it waits for a retry
+     */
+    enqueue({ meetingId, title = null, filePath, directory, audioFormat, transcription = null }) {
+        this.jobs = this.jobs.filter(job => job.id !== meetingId);
+        this.jobs.push({
+            id: meetingId,
+            meetingId,
+            title,
+            filePath,
+            directory,
+            audioFormat,
+            transcription,
+            uploadUrl: null,
+            attempts: 0,
+            status: 'pending',
+            nextAttemptAt: new Date().toISOString(),
+            lastError: null,
+            createdAt: new Date().toISOString(),
+        });
+        this.changed();
+        const firstAttempt = new Promise(resolve => this.firstAttempts.set(meetingId, resolve));
+        this.process();
+        return firstAttempt;
+    }
+
+    /**
+     * Try a waiting or failed upload now, with a fresh set of attempts
+     */
+    retry(id) {
+        const job = this.jobs.find(j => j.id === id);
+        if (!job || job.status === 'uploading') return false;
+        Object.assign(job, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+        this.changed();
+        this.process();
+        return true;
+    }
+
+    /**
+     * Drop an upload from the queue; an upload in progress still finishes
+     * @returns {Object|null} The removed job
+     */
+    remove(id) {
+        const job = this.jobs.find(j => j.id === id);
+        if (!job) return null;
+        this.jobs = this.jobs.filter(j => j !== job);
+        this.settleFirstAttempt(job, false);
+        this.changed();
+        return job;
+    }
+
+    /**
+     * Remember the Storage upload a job's attempt started, so retries and restarts resume it
+     */
+    setUploadUrl(id, uploadUrl) {
+        const job = this.jobs.find(j => j.id === id);
+        if (!job) return;
+        job.uploadUrl = uploadUrl;
+        this.save();
+    }
+
+    has(directory) {
+        return this.jobs.some(job => job.directory && path.resolve(job.directory) === path.resolve(directory));
+    }
+
+    /**
+     * @returns {Array<Object>} Jobs without their audioFormat, for the app state
+     */
+    getJobs() {
+        return this.jobs.map(({ audioFormat, ...job }) => ({ ...job }));
+    }
+
+    settleFirstAttempt(job, sent) {
+        const resolve = this.firstAttempts.get(job.id);
+        if (!resolve) return;
+        this.firstAttempts.delete(job.id);
+        resolve(sent);
+    }
+
+    // Run due jobs one at a time, then wait for the next one to be due
+    async process() {
+        if (this.running) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.running = true;
+        try {
+            for (;;) {
+                const now = Date.now();
+                const job = this.jobs.find(j => j.status === 'pending' && Date.parse(j.nextAttemptAt) <= now);
+                if (!job) break;
+
+                if (!this.canUpload()) {
+                    this.wasBlocked = true;
+                    this.jobs.filter(j => j.status === 'pending').forEach(j => this.settleFirstAttempt(j, false));
+                    break;
+                }
+                await this.attempt(job);
+            }
+        } finally {
+            this.running = false;
+            this.schedule();
+        }
+    }
+
+    async attempt(job) {
+        job.status = 'uploading';
+        job.attempts++;
+        this.changed();
+        try {
+            await this.upload(job);
+            this.jobs = this.jobs.filter(j => j !== job);
+            this.changed();
+            this.settleFirstAttempt(job, true);
+            this.emit('uploaded', job);
+        } catch (error) {
+            console.error(`[uploadQueue] Upload for meeting ${job.meetingId} failed (attempt ${job.attempts}):`, error);
+            job.lastError = error.message;
+            if (error.code === 'ENOENT' || job.attempts >= MAX_ATTEMPTS) {
+                job.status = 'failed';
+            } else {
+                job.status = 'pending';
+                job.nextAttemptAt = new Date(Date.now() + retryDelay(job.attempts)).toISOString();
+            }
+            // Removed while it was uploading
+            if (this.jobs.includes(job)) this.changed();
+            this.settleFirstAttempt(job, false);
+            if (job.status === 'failed') this.emit('failed', job);
+        }
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const pending = this.jobs.filter(j => j.status === 'pending');
+        if (pending.length === 0) return;
+
+        let delay;
+        if (!this.canUpload()) {
+            this.wasBlocked = true;
+            delay = CONNECTIVITY_POLL_INTERVAL;
+        } else if (this.wasBlocked) {
+            // Back online (or logged in again): everything waiting is due now
+            this.wasBlocked = false;
+            pending.forEach(j => { j.nextAttemptAt = new Date().toISOString(); });
+            this.changed();
+            delay = 0;
+        } else {
+            const next = Math.min(...pending.map(j => Date.parse(j.nextAttemptAt)));
+            delay = Math.max(0, Math.min(next - Date.now(), CONNECTIVITY_POLL_INTERVAL));
+        }
+        this.timer = setTimeout(() => this.process(), delay);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    UploadQueue,
+    MAX_ATTEMPTS,
+};
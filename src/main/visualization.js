@@ -0,0 +1,71 @@
+// Live level and waveform for renderer windows. Each subscribed window gets its own
+// MessageChannelMain port. Frames carry downsampled Float32Arrays instead of the full
+// sample buffer, built once per tick and waveform size however many windows are open.
+const { MessageChannelMain } = require('electron');
+
+const DEFAULT_POINTS = 128;
+const MAX_POINTS = 1024;
+
+// webContents.id -> { webContents, port, points }
+const subscribers = new Map();
+
+/**
+ * Open a port to a renderer. The other end arrives in the preload script as a
+ * 'visualization-port' message; subscribing again (e.g. after a reload) replaces it.
+ * @param {import('electron').WebContents} webContents
+ * @param {{points?: number}} [options] - Waveform length the window draws (0 for level only)
+ */
+function subscribe(webContents, { points = DEFAULT_POINTS } = {}) {
+    unsubscribe(webContents.id);
+    const { port1, port2 } = new MessageChannelMain();
+    subscribers.set(webContents.id, {
+        webContents,
+        port: port1,
+        points: Math.max(0, Math.min(MAX_POINTS, Math.round(points))),
+    });
+    webContents.once('destroyed', () => unsubscribe(webContents.id));
+    webContents.postMessage('visualization-port', null, [port2]);
+}
+
+function unsubscribe(id) {
+    const subscriber = subscribers.get(id);
+    if (!subscriber) return;
+    subscriber.port.close();
+    subscribers.delete(id);
+}
+
+// Hidden and minimized windows get nothing
+function isShowing(webContents) {
+    const { BrowserWindow } = require('electron');
+    const window = BrowserWindow.fromWebContents(webContents);
+    return !!window && !window.isDestroyed() && window.isVisible() && !window.isMinimized();
+}
+
+/**
+ * Send one frame to every showing subscriber
+ * @param {Object} frame - { level, paused, levels? } of the latest chunk
+ * @param {function(number): {waveform: Float32Array, peaks: Float32Array}} getWaveform - Called once per distinct size
+ * @returns {number} How many windows the frame went to
+ */
+function publish(frame, getWaveform) {
+    const waveforms = new Map();
+    let sent = 0;
+    for (const { webContents, port, points } of subscribers.values()) {
+        if (webContents.isDestroyed() || !isShowing(webContents)) continue;
+        if (points > 0 && !waveforms.has(points)) waveforms.set(points, getWaveform(points));
+        port.postMessage(points > 0 ? { ...frame, ...waveforms.get(points) } : frame);
+        sent++;
+    }
+    return sent;
+}
+
+function hasSubscribers() {
+    return subscribers.size > 0;
+}
+
+module.exports = {
+    subscribe,
+    unsubscribe,
+    publish,
+    hasSubscribers,
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * Build a canonical 44-byte PCM WAV header
+ * @param {number} dataLength - Size of the PCM data chunk in bytes
+ * @param {{sampleRate: number, channels: number, bitsPerSample: number}} format
+ * @returns {Buffer}
+ */
+function createWavHeader(dataLength, { sampleRate, channels, bitsPerSample }) {
+    const blockAlign = channels * (bitsPerSample / 8);
+    const header = Buffer.alloc(WAV_HEADER_SIZE);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);              // fmt chunk size
+    header.writeUInt16LE(1, 20);               // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+
+    return header;
+}
+
+/**
+ * Streams raw PCM to a WAV file. The header is written up front with zero sizes
+ * and patched with the real RIFF/data sizes when the writer is closed.
+ */
+class WavWriter extends EventEmitter {
+    constructor(filePath, { sampleRate = 16000, channels = 1, bitsPerSample = 16 } = {}) {
+        super();
+        this.filePath = filePath;
+        this.format = { sampleRate, channels, bitsPerSample };
+        this.dataLength = 0;
+        this.stream = fs.createWriteStream(filePath);
+        this.stream.on('error', (error) => this.emit('error', error));
+        this.stream.write(createWavHeader(0, this.format));
+        this.closed = false;
+    }
+
+    write(chunk) {
+        if (this.closed) return;
+        this.dataLength += chunk.length;
+        this.stream.write(chunk);
+    }
+
+    /**
+     * Flush buffered PCM and patch the header sizes
+     * @returns {Promise<string>} Resolves with the file path
+     */
+    async close() {
+        if (this.closed) return this.filePath;
+        this.closed = true;
+
+        await new Promise((resolve, reject) => {
+            this.stream.once('error', reject);
+            this.stream.end(resolve);
+        });
+
+        const handle = await fs.promises.open(this.filePath, 'r+');
+        try {
+            const sizes = Buffer.alloc(4);
+            sizes.writeUInt32LE(36 + this.dataLength, 0);
+            await handle.write(sizes, 0, 4, 4);
+            sizes.writeUInt32LE(this.dataLength, 0);
+            await handle.write(sizes, 0, 4, 40);
+        } finally {
+            await handle.close();
+        }
+
+        return this.filePath;
+    }
+}
+
+/**
+ * Locate the chunks of a WAV file. Only the recorder writes the canonical 44-byte
+ * header; FFmpeg's WAV muxer (segment concat, silence trim) puts a LIST chunk before
+ * `data`. The data chunk is taken to run to the end of the file, as both write it last.
+ * @param {fs.promises.FileHandle} handle
+ * @param {number} size - File size in bytes
+ * @returns {Promise<{blockAlign: number, dataOffset: number}>} dataOffset is where the samples start
+ */
+async function findWavChunks(handle, size) {
+    const riff = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(riff, 0, 12, 0);
+    if (bytesRead < 12 || riff.toString('ascii', 0, 4) !== 'RIFF' || riff.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+
+    const chunk = Buffer.alloc(8);
+    let blockAlign = 1;
+    let offset = 12;
+    while (offset + 8 <= size) {
+        await handle.read(chunk, 0, 8, offset);
+        const id = chunk.toString('ascii', 0, 4);
+        const chunkSize = chunk.readUInt32LE(4);
+        if (id === 'data') return { blockAlign, dataOffset: offset + 8 };
+        if (id === 'fmt ') {
+            const fmt = Buffer.alloc(16);
+            await handle.read(fmt, 0, 16, offset + 8);
+            blockAlign = fmt.readUInt16LE(12) || 1;
+        }
+        // Chunks are padded to an even size
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+    return null;
+}
+
+/**
+ * Fix the RIFF/data sizes of a WAV file whose writer never got to close()
+ * (e.g. the app crashed mid-recording). Trailing bytes that don't form a whole
+ * sample frame are cut off.
+ * @param {string} filePath
+ * @returns {Promise<{repaired: boolean, dataLength: number}>}
+ */
+async function repairWavHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r+');
+    try {
+        const { size } = await handle.stat();
+        const chunks = await findWavChunks(handle, size);
+        if (!chunks) {
+            throw new Error(`Not a WAV file with a data chunk: ${filePath}`);
+        }
+
+        const { blockAlign, dataOffset } = chunks;
+        const available = size - dataOffset;
+        const dataLength = available - (available % blockAlign);
+        const riffLength = dataOffset - 8 + dataLength;
+
+        const sizes = Buffer.alloc(4);
+        await handle.read(sizes, 0, 4, 4);
+        const storedRiffLength = sizes.readUInt32LE(0);
+        await handle.read(sizes, 0, 4, dataOffset - 4);
+        if (sizes.readUInt32LE(0) === dataLength && storedRiffLength === riffLength && available === dataLength) {
+            return { repaired: false, dataLength };
+        }
+
+        sizes.writeUInt32LE(riffLength, 0);
+        await handle.write(sizes, 0, 4, 4);
+        sizes.writeUInt32LE(dataLength, 0);
+        await handle.write(sizes, 0, 4, dataOffset - 4);
+        if (available !== dataLength) {
+            await handle.truncate(dataOffset + dataLength);
+        }
+        return { repaired: true, dataLength };
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = {
+    WavWriter,
+    createWavHeader,
+    repairWavHeader,
+    WAV_HEADER_SIZE,
+};
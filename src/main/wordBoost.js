@@ -0,0 +1,44 @@
+// Word boost (AssemblyAI word_boost) for a meeting: names the transcript would otherwise
+// mangle, taken from the meeting's company, its people and the glossary in settings.
+
+// AssemblyAI limits: at most 1000 terms, each a phrase of up to 6 words
+const MAX_TERMS = 1000;
+const MAX_WORDS = 6;
+
+function cleanTerm(term) {
+    return typeof term === 'string' ? term.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * @param {Object} sources
+ * @param {string[]} [sources.vocabulary] - Glossary from settings; listed first so it survives the cap
+ * @param {string} [sources.companyName]
+ * @param {Array<{first_name?: string, last_name?: string}>} [sources.people] - Contacts of the company
+ * @returns {string[]} Unique terms, case-insensitively
+ */
+function buildWordBoost({ vocabulary = [], companyName = null, people = [] }) {
+    const terms = [...vocabulary, companyName];
+    people.forEach(person => {
+        const first = cleanTerm(person.first_name);
+        const last = cleanTerm(person.last_name);
+        if (first && last) terms.push(`${first} ${last}`);
+        // Surnames are what gets misheard; boost them on their own too
+        if (last) terms.push(last);
+    });
+
+    const seen = new Set();
+    const boost = [];
+    for (const term of terms.map(cleanTerm)) {
+        const key = term.toLowerCase();
+        if (!term || seen.has(key) || term.split(' ').length > MAX_WORDS) continue;
+        seen.add(key);
+        boost.push(term);
+        if (boost.length === MAX_TERMS) break;
+    }
+    return boost;
+}
+
+module.exports = {
+    buildWordBoost,
+    MAX_TERMS,
+};
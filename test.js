@@ -18,8 +18,11 @@ async function testRecording() {
         
         // Start recording with audio processing
         await recorder.startRecording(outputPath, {
-            opusBitrate: '64k',
-            sampleRate: 48000,
+            output: {
+                format: 'opus',
+                bitrate: '64k',
+                sampleRate: 48000
+            },
             filters: {
                 // Enable and configure noise reduction
                 noiseReduction: {